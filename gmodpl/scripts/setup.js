@@ -30,6 +30,7 @@ const envPath = '.env';
 if (!fs.existsSync(envPath)) {
   const envTemplate = `# Steam Web API Configuration
 STEAM_API_KEY=
+STEAM_DAILY_QUOTA=100000
 
 # Database Configuration
 DB_PATH=./data/gmodpolska.db
@@ -38,12 +39,29 @@ DB_PATH=./data/gmodpolska.db
 PORT=3000
 NODE_ENV=development
 
-# IP Geolocation Service (Optional - for identifying Polish players)
+# IP Geolocation (Optional - GeoLite2 .mmdb or CSV files, online provider as fallback)
+GEOIP_DB_PATH=
+GEOIP_ASN_DB_PATH=
 IPGEOLOCATION_API_KEY=
+GEOIP_CACHE_DAYS=30
+HOSTING_PROVIDERS_FILE=./data/hosting-providers.json
 
 # GMod Server Query Configuration
 QUERY_INTERVAL_MINUTES=5
 MAX_SERVERS_TO_TRACK=100
+OFFLINE_FAILURE_THRESHOLD=3
+ONLINE_SUCCESS_THRESHOLD=1
+
+# Server Discovery (static file: one ip:port per line)
+DISCOVERY_STATIC_FILE=./data/servers.txt
+DISCOVERY_LIST_URL=
+DISCOVERY_DISABLED_PROVIDERS=
+SERVER_MERGE_AUTO_THRESHOLD=0.85
+
+# Steam Profile Refresh
+STEAM_REFRESH_INTERVAL_HOURS=24
+STEAM_QUEUE_MAX_ATTEMPTS=5
+STEAM_FETCH_FRIENDS=true
 
 # Analytics Configuration
 RETENTION_DAYS=30
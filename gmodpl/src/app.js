@@ -10,6 +10,8 @@ const SteamDataService = require('./steam/service');
 const ServerScannerService = require('./scanner/service');
 const MLService = require('./ml/service');
 const dashboardRoutes = require('./routes/dashboard');
+const createDiscoveryRoutes = require('./routes/discovery');
+const createSteamRoutes = require('./routes/steam');
 
 class GModPolskaApp {
   constructor() {
@@ -19,10 +21,11 @@ class GModPolskaApp {
     this.startTime = new Date();
     
     // Service instances
+    const steamService = new SteamDataService();
     this.services = {
       database: database,
-      steam: new SteamDataService(),
-      scanner: new ServerScannerService(),
+      steam: steamService,
+      scanner: new ServerScannerService({ steamClient: steamService.steamClient, steamService }),
       ml: new MLService()
     };
     
@@ -55,6 +58,7 @@ class GModPolskaApp {
       maxServersToTrack: parseInt(process.env.MAX_SERVERS_TO_TRACK) || 100,
       retentionDays: parseInt(process.env.RETENTION_DAYS) || 30,
       cleanupIntervalHours: parseInt(process.env.CLEANUP_INTERVAL_HOURS) || 24,
+      steamRefreshIntervalHours: parseInt(process.env.STEAM_REFRESH_INTERVAL_HOURS) || 24,
       nodeEnv: process.env.NODE_ENV || 'development'
     };
     
@@ -86,16 +90,23 @@ class GModPolskaApp {
     });
     
     // Status endpoint
-    this.app.get('/api/status', (req, res) => {
-      res.json({
-        services: this.serviceStatus,
-        metrics: this.getMetrics(),
-        config: {
-          queryInterval: this.config.queryIntervalMinutes,
-          maxServers: this.config.maxServersToTrack,
-          environment: this.config.nodeEnv
-        }
-      });
+    this.app.get('/api/status', async (req, res, next) => {
+      try {
+        res.json({
+          services: this.serviceStatus,
+          metrics: this.getMetrics(),
+          steamQueue: await this.services.steam.getQueueStats(),
+          steamApi: this.services.steam.steamClient.limiter.getState(),
+          geolocation: this.services.scanner.geoService.getStats(),
+          config: {
+            queryInterval: this.config.queryIntervalMinutes,
+            maxServers: this.config.maxServersToTrack,
+            environment: this.config.nodeEnv
+          }
+        });
+      } catch (error) {
+        next(error);
+      }
     });
     
     // Dashboard endpoint
@@ -107,8 +118,13 @@ class GModPolskaApp {
         uptime: this.getUptime()
       });
     });
-    // Dashboard routes
+    // Dashboard routes - vanity names go through the shared Steam client and its rate limiter
+    this.app.locals.steamService = this.services.steam;
     this.app.use('/dashboard', dashboardRoutes);
+    // Discovery provider management
+    this.app.use('/api/discovery', createDiscoveryRoutes(this.services.scanner));
+    // Steam profile queue (manual SteamID imports)
+    this.app.use('/api/steam', createSteamRoutes(this.services.steam));
     // Error handling middleware
     this.app.use((error, req, res, next) => {
       this.metrics.errors++;
@@ -274,6 +290,17 @@ class GModPolskaApp {
       }
     }, 60 * 60 * 1000);
     
+    // Steam profile refresh for players not updated in the last day
+    const refreshSteamPlayers = async () => {
+      try {
+        await this.services.steam.refreshOldPlayers();
+      } catch (error) {
+        this.log('error', 'Steam player refresh failed', { error: error.message });
+      }
+    };
+    refreshSteamPlayers();
+    setInterval(refreshSteamPlayers, this.config.steamRefreshIntervalHours * 60 * 60 * 1000);
+    
     // Database cleanup
     setInterval(async () => {
       try {
@@ -385,6 +412,9 @@ class GModPolskaApp {
     this.log('info', 'Starting database cleanup...');
     
     try {
+      const expiredCacheEntries = await this.services.steam.steamClient.cache.purgeExpired();
+      const expiredGeoEntries = await this.services.scanner.geoService.purgeExpired();
+      
       const sql = `
         DELETE FROM server_snapshots 
         WHERE timestamp < datetime('now', '-${this.config.retentionDays} days')
@@ -394,6 +424,8 @@ class GModPolskaApp {
       
       this.log('info', 'Database cleanup completed', {
         deletedRecords: result.changes || 0,
+        expiredCacheEntries,
+        expiredGeoEntries,
         retentionDays: this.config.retentionDays
       });
       
@@ -404,7 +436,7 @@ class GModPolskaApp {
     }
   }
 
-  updateMetrics() {
+  async updateMetrics() {
     this.metrics.uptime = this.getUptime();
     
     // Get additional metrics from services
@@ -415,8 +447,12 @@ class GModPolskaApp {
     }
     
     if (this.services.steam) {
-      const steamStats = this.services.steam.getQueueStats();
-      // Steam stats would include player processing info
+      try {
+        const steamStats = await this.services.steam.getQueueStats();
+        this.metrics.totalPlayersProcessed = steamStats.processedCount;
+      } catch (error) {
+        this.log('error', 'Steam queue stats failed', { error: error.message });
+      }
     }
   }
 
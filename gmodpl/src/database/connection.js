@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const DatabaseSchema = require('./schema');
 const MLDatabaseSchema = require('./ml-schema');
+const { GAMEMODE_ALIASES } = require('../servers/gamemodes');
 
 class DatabaseConnection {
   constructor() {
@@ -106,9 +107,15 @@ class DatabaseConnection {
       await MLDatabaseSchema.createMLTables(db);
       console.log('✅ ML schema tables created');
       
+      // Add columns introduced after the initial schema
+      await this.addMissingColumns(db);
+      
       // Create indexes for performance
       await this.createIndexes(db);
       
+      // Snapshots written before gamemodes were normalized
+      await this.normalizeGamemodes(db);
+      
       console.log('✅ Database migrations completed successfully');
       
     } catch (error) {
@@ -126,16 +133,95 @@ class DatabaseConnection {
     }
   }
 
+  async addMissingColumns(db) {
+    console.log('🧩 Checking for missing columns...');
+    
+    // Fresh databases get these from CREATE TABLE; older ones need an ALTER
+    const columns = [
+      { table: 'servers', name: 'steam_id', type: 'TEXT' },
+      { table: 'servers', name: 'keywords', type: 'TEXT' },
+      { table: 'servers', name: 'game_port', type: 'INTEGER' },
+      { table: 'servers', name: 'consecutive_failures', type: 'INTEGER DEFAULT 0' },
+      { table: 'servers', name: 'consecutive_successes', type: 'INTEGER DEFAULT 0' },
+      { table: 'servers', name: 'last_checked', type: 'DATETIME' },
+      { table: 'servers', name: 'city', type: 'TEXT' },
+      { table: 'servers', name: 'asn', type: 'INTEGER' },
+      { table: 'servers', name: 'hosting_provider', type: 'TEXT' },
+      { table: 'servers', name: 'hosting_type', type: 'TEXT' },
+      { table: 'servers', name: 'as_org', type: 'TEXT' },
+      { table: 'players', name: 'owns_gmod', type: 'BOOLEAN' },
+      { table: 'players', name: 'total_games', type: 'INTEGER' },
+      { table: 'players', name: 'gmod_playtime_minutes', type: 'INTEGER' },
+      { table: 'players', name: 'gmod_playtime_2weeks', type: 'INTEGER' },
+      { table: 'players', name: 'games_updated_at', type: 'DATETIME' },
+      { table: 'players', name: 'friends_updated_at', type: 'DATETIME' },
+      { table: 'players', name: 'vac_banned', type: 'BOOLEAN' },
+      { table: 'players', name: 'vac_ban_count', type: 'INTEGER' },
+      { table: 'players', name: 'game_ban_count', type: 'INTEGER' },
+      { table: 'players', name: 'community_banned', type: 'BOOLEAN' },
+      { table: 'players', name: 'economy_ban', type: 'TEXT' },
+      { table: 'players', name: 'days_since_last_ban', type: 'INTEGER' },
+      { table: 'players', name: 'bans_updated_at', type: 'DATETIME' },
+      { table: 'sessions', name: 'player_name', type: 'TEXT' },
+      { table: 'sessions', name: 'last_seen', type: 'DATETIME' },
+      { table: 'sessions', name: 'identity_id', type: 'INTEGER' }
+    ];
+
+    for (const column of columns) {
+      const existing = await this.getTableColumns(db, column.table);
+      
+      // Table not created yet - CREATE TABLE already includes the column
+      if (existing.length === 0 || existing.includes(column.name)) {
+        continue;
+      }
+      
+      await this.executeWithRetry(db, `ALTER TABLE ${column.table} ADD COLUMN ${column.name} ${column.type}`);
+      console.log(`✅ Added column ${column.table}.${column.name}`);
+    }
+    
+    console.log('✅ Column check completed');
+  }
+
+  async getTableColumns(db, table) {
+    return new Promise((resolve, reject) => {
+      db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => row.name));
+      });
+    });
+  }
+
   async createIndexes(db) {
     console.log('📊 Creating database indexes...');
     
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_servers_ip_port ON servers(ip, port)',
       'CREATE INDEX IF NOT EXISTS idx_servers_last_seen ON servers(last_seen)',
+      'CREATE INDEX IF NOT EXISTS idx_servers_steam_id ON servers(steam_id)',
       'CREATE INDEX IF NOT EXISTS idx_players_steam_id ON players(steam_id)',
+      'CREATE INDEX IF NOT EXISTS idx_playtime_history_player ON player_playtime_history(player_id, recorded_at)',
       'CREATE INDEX IF NOT EXISTS idx_sessions_player_server ON sessions(player_id, server_id)',
       'CREATE INDEX IF NOT EXISTS idx_sessions_join_time ON sessions(join_time)',
+      'CREATE INDEX IF NOT EXISTS idx_sessions_server_active ON sessions(server_id, is_active)',
+      'CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events(session_id)',
+      'CREATE INDEX IF NOT EXISTS idx_sessions_identity ON sessions(identity_id, is_active)',
+      'CREATE INDEX IF NOT EXISTS idx_player_aliases_name_key ON player_aliases(name_key)',
+      'CREATE INDEX IF NOT EXISTS idx_player_identities_steam_id ON player_identities(steam_id)',
       'CREATE INDEX IF NOT EXISTS idx_snapshots_server_time ON server_snapshots(server_id, snapshot_time)',
+      'CREATE INDEX IF NOT EXISTS idx_status_events_server_time ON server_status_events(server_id, event_time)',
+      'CREATE INDEX IF NOT EXISTS idx_server_rule_changes_server ON server_rule_changes(server_id, changed_at)',
+      'CREATE INDEX IF NOT EXISTS idx_ban_changes_player ON player_ban_changes(player_id, changed_at)',
+      'CREATE INDEX IF NOT EXISTS idx_ban_changes_alerts ON player_ban_changes(is_new_ban, acknowledged_at)',
+      'CREATE INDEX IF NOT EXISTS idx_friendships_b ON player_friendships(steam_id_b)',
+      'CREATE INDEX IF NOT EXISTS idx_steam_api_cache_expires ON steam_api_cache(expires_at)',
+      'CREATE INDEX IF NOT EXISTS idx_steam_queue_status_next ON steam_queue(status, next_attempt_at)',
+      'CREATE INDEX IF NOT EXISTS idx_ip_geolocation_expires ON ip_geolocation(expires_at)',
+      'CREATE INDEX IF NOT EXISTS idx_servers_hosting ON servers(hosting_provider)',
+      'CREATE INDEX IF NOT EXISTS idx_community_servers_community ON community_servers(community_id)',
+      'CREATE INDEX IF NOT EXISTS idx_server_aliases_server ON server_aliases(server_id)',
+      'CREATE INDEX IF NOT EXISTS idx_server_changes_server ON server_changes(server_id, changed_at)',
+      'CREATE INDEX IF NOT EXISTS idx_server_changes_field ON server_changes(field, changed_at)',
+      'CREATE INDEX IF NOT EXISTS idx_server_merge_candidates_status ON server_merge_candidates(status)',
       'CREATE INDEX IF NOT EXISTS idx_gamemode_predictions_server ON gamemode_predictions(server_id)',
       'CREATE INDEX IF NOT EXISTS idx_polish_predictions_server ON polish_server_predictions(server_id)',
       'CREATE INDEX IF NOT EXISTS idx_polish_predictions_review ON polish_server_predictions(needs_review)'
@@ -148,6 +234,16 @@ class DatabaseConnection {
     console.log('✅ Database indexes created');
   }
 
+  async normalizeGamemodes(db) {
+    const renamed = Object.entries(GAMEMODE_ALIASES).filter(([folder, gamemode]) => folder !== gamemode);
+    
+    await this.executeWithRetry(db, `
+      UPDATE server_snapshots
+      SET gamemode = CASE LOWER(gamemode) ${renamed.map(() => 'WHEN ? THEN ?').join(' ')} ELSE LOWER(gamemode) END
+      WHERE gamemode != 'Unknown' AND (gamemode != LOWER(gamemode) OR gamemode IN (${renamed.map(() => '?').join(', ')}))
+    `, [...renamed.flat(), ...renamed.map(([folder]) => folder)]);
+  }
+
   async executeWithRetry(db, sql, params = []) {
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
       try {
@@ -4,6 +4,9 @@ class Database {
   constructor() {
     this.connection = new DatabaseConnection();
     this.isInitialized = false;
+    
+    // Server columns whose changes are kept in server_changes
+    this.trackedServerFields = ['name', 'tags', 'max_players', 'version', 'password_protected'];
   }
 
   async initialize() {
@@ -45,41 +48,240 @@ class Database {
     }
   }
 
+  // Runs `work` between BEGIN IMMEDIATE and COMMIT on one connection and rolls back if it
+  // throws. `work` gets executeWithRetry/get/all bound to that connection - statements sent
+  // through the database object itself would wait on the transaction's write lock.
+  async transaction(work) {
+    const db = await this.getConnection();
+    const query = method => (sql, params = []) => new Promise((resolve, reject) => {
+      db[method](sql, params, (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+    const tx = {
+      executeWithRetry: (sql, params = []) => this.connection.executeWithRetry(db, sql, params),
+      get: query('get'),
+      all: query('all')
+    };
+
+    try {
+      await query('run')('BEGIN IMMEDIATE');
+      try {
+        const result = await work(tx);
+        await query('run')('COMMIT');
+        return result;
+      } catch (error) {
+        await query('run')('ROLLBACK').catch(rollbackError => {
+          console.error('⚠️ Rollback failed:', rollbackError.message);
+        });
+        throw error;
+      }
+    } finally {
+      this.closeConnection(db);
+    }
+  }
+
   // Helper methods for common operations
   async insertServer(serverData) {
     console.log('💾 Inserting server data:', serverData.ip + ':' + serverData.port);
     
+    const current = await this.get(`
+      SELECT id, ${this.trackedServerFields.join(', ')} FROM servers WHERE ip = ? AND port = ?
+    `, [serverData.ip, serverData.port]);
+    
+    // Upsert keeps servers.id stable - snapshots, sessions and predictions reference it.
+    // first_seen and the status columns (is_active, consecutive_*) are left alone.
     const sql = `
-      INSERT OR REPLACE INTO servers 
-      (ip, port, name, map, description, tags, max_players, password_protected, secure, version, os, game_id, country, region, last_seen)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO servers 
+      (ip, port, name, map, description, tags, max_players, password_protected, secure, version, os, game_id, country, region, city, asn, as_org, hosting_provider, hosting_type, steam_id, keywords, game_port, last_seen)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(ip, port) DO UPDATE SET
+        name = excluded.name,
+        map = excluded.map,
+        description = excluded.description,
+        tags = excluded.tags,
+        max_players = excluded.max_players,
+        password_protected = excluded.password_protected,
+        secure = excluded.secure,
+        version = excluded.version,
+        os = excluded.os,
+        game_id = excluded.game_id,
+        country = excluded.country,
+        region = excluded.region,
+        city = excluded.city,
+        asn = excluded.asn,
+        as_org = excluded.as_org,
+        hosting_provider = excluded.hosting_provider,
+        hosting_type = excluded.hosting_type,
+        steam_id = excluded.steam_id,
+        keywords = excluded.keywords,
+        game_port = excluded.game_port,
+        last_seen = CURRENT_TIMESTAMP
     `;
     
     const params = [
       serverData.ip, serverData.port, serverData.name, serverData.map,
       serverData.description, serverData.tags, serverData.max_players,
       serverData.password_protected, serverData.secure, serverData.version,
-      serverData.os, serverData.game_id, serverData.country, serverData.region
+      serverData.os, serverData.game_id, serverData.country, serverData.region,
+      serverData.city, serverData.asn, serverData.as_org, serverData.hosting_provider, serverData.hosting_type,
+      serverData.steam_id, serverData.keywords, serverData.game_port
     ];
     
-    return await this.executeWithRetry(sql, params);
+    const result = await this.executeWithRetry(sql, params);
+    
+    if (current) {
+      await this.recordServerChanges(current.id, current, serverData);
+    }
+    
+    return result;
+  }
+
+  // Rebrands, slot changes, updates and password toggles go into server_changes.
+  // Pass the transaction handle when called inside database.transaction().
+  async recordServerChanges(serverId, previous, next, tx = this) {
+    const normalize = (field, value) => {
+      if (value === null || value === undefined) {
+        return null;
+      }
+      return field === 'password_protected' ? String(value ? 1 : 0) : String(value);
+    };
+    
+    const changes = [];
+    for (const field of this.trackedServerFields) {
+      const oldValue = normalize(field, previous[field]);
+      const newValue = normalize(field, next[field]);
+      if (oldValue === newValue) {
+        continue;
+      }
+      
+      await tx.executeWithRetry(`
+        INSERT INTO server_changes (server_id, field, old_value, new_value)
+        VALUES (?, ?, ?, ?)
+      `, [serverId, field, oldValue, newValue]);
+      changes.push({ field, oldValue, newValue });
+    }
+    
+    if (changes.length > 0) {
+      console.log(`✏️ Server ${serverId} changed: ${changes.map(change => `${change.field} ${change.oldValue} → ${change.newValue}`).join(', ')}`);
+    }
+    return changes;
+  }
+
+  async getServerChanges(serverId, options = {}) {
+    const fields = options.fields && options.fields.length > 0 ? options.fields : this.trackedServerFields;
+    const sql = `
+      SELECT field, old_value, new_value, changed_at
+      FROM server_changes
+      WHERE server_id = ? AND field IN (${fields.map(() => '?').join(', ')})
+      ORDER BY changed_at DESC, id DESC
+      LIMIT ?
+    `;
+    
+    return await this.all(sql, [serverId, ...fields, options.limit || 100]);
   }
 
   async insertPlayer(playerData) {
     console.log('👤 Inserting player data:', playerData.steam_id);
     
+    // Upsert keeps players.id stable - sessions and identities reference it
     const sql = `
-      INSERT OR REPLACE INTO players 
-      (steam_id, username, profile_url, country, creation_date, avatar_url, last_updated)
-      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO players 
+      (steam_id, username, profile_url, country, creation_date, avatar_url,
+       owns_gmod, total_games, gmod_playtime_minutes, gmod_playtime_2weeks, games_updated_at, last_updated)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END, CURRENT_TIMESTAMP)
+      ON CONFLICT(steam_id) DO UPDATE SET
+        username = excluded.username,
+        profile_url = excluded.profile_url,
+        country = excluded.country,
+        creation_date = excluded.creation_date,
+        avatar_url = excluded.avatar_url,
+        owns_gmod = COALESCE(excluded.owns_gmod, owns_gmod),
+        total_games = COALESCE(excluded.total_games, total_games),
+        gmod_playtime_minutes = COALESCE(excluded.gmod_playtime_minutes, gmod_playtime_minutes),
+        gmod_playtime_2weeks = COALESCE(excluded.gmod_playtime_2weeks, gmod_playtime_2weeks),
+        games_updated_at = COALESCE(excluded.games_updated_at, games_updated_at),
+        last_updated = CURRENT_TIMESTAMP
     `;
     
+    // Games data is NULL for private profiles - keep the last known values
+    const gamesVisible = playerData.owns_gmod !== null && playerData.owns_gmod !== undefined;
     const params = [
       playerData.steam_id, playerData.username, playerData.profile_url,
-      playerData.country, playerData.creation_date, playerData.avatar_url
+      playerData.country, playerData.creation_date, playerData.avatar_url,
+      gamesVisible ? (playerData.owns_gmod ? 1 : 0) : null,
+      playerData.total_games ?? null, playerData.gmod_playtime_minutes ?? null,
+      playerData.gmod_playtime_2weeks ?? null, gamesVisible ? 1 : 0
     ];
     
-    return await this.executeWithRetry(sql, params);
+    await this.executeWithRetry(sql, params);
+    
+    if (gamesVisible) {
+      await this.recordPlaytime(playerData);
+    }
+  }
+
+  // History row only when playtime or game count moved since the last one
+  async recordPlaytime(playerData) {
+    const player = await this.get('SELECT id FROM players WHERE steam_id = ?', [playerData.steam_id]);
+    const last = await this.get(`
+      SELECT gmod_playtime_minutes, total_games FROM player_playtime_history
+      WHERE player_id = ?
+      ORDER BY recorded_at DESC, id DESC
+      LIMIT 1
+    `, [player.id]);
+    
+    const playtime = playerData.gmod_playtime_minutes ?? null;
+    const totalGames = playerData.total_games ?? null;
+    if (last && last.gmod_playtime_minutes === playtime && last.total_games === totalGames) {
+      return null;
+    }
+    
+    return await this.executeWithRetry(`
+      INSERT INTO player_playtime_history (player_id, gmod_playtime_minutes, gmod_playtime_2weeks, total_games)
+      VALUES (?, ?, ?, ?)
+    `, [player.id, playtime, playerData.gmod_playtime_2weeks ?? null, totalGames]);
+  }
+
+  // Replaces the stored friend edges of one player with the current list
+  async saveFriendships(steamId, friends) {
+    console.log(`👥 Saving ${friends.length} friendships for player:`, steamId);
+    
+    const friendIds = new Set();
+    for (const friend of friends) {
+      const [a, b] = [steamId, friend.steamid].sort();
+      friendIds.add(friend.steamid);
+      
+      await this.executeWithRetry(`
+        INSERT INTO player_friendships (steam_id_a, steam_id_b, friend_since)
+        VALUES (?, ?, ?)
+        ON CONFLICT(steam_id_a, steam_id_b) DO UPDATE SET last_seen = CURRENT_TIMESTAMP
+      `, [a, b, friend.friend_since ? this.toSqlTime(friend.friend_since * 1000) : null]);
+    }
+    
+    // Edges missing from the fresh list were unfriended
+    const existing = await this.getFriendIds(steamId);
+    for (const friendId of existing) {
+      if (!friendIds.has(friendId)) {
+        const [a, b] = [steamId, friendId].sort();
+        await this.executeWithRetry('DELETE FROM player_friendships WHERE steam_id_a = ? AND steam_id_b = ?', [a, b]);
+      }
+    }
+    
+    return await this.executeWithRetry(
+      'UPDATE players SET friends_updated_at = CURRENT_TIMESTAMP WHERE steam_id = ?',
+      [steamId]
+    );
+  }
+
+  async getFriendIds(steamId) {
+    const rows = await this.all(`
+      SELECT steam_id_b AS friend_id FROM player_friendships WHERE steam_id_a = ?
+      UNION
+      SELECT steam_id_a AS friend_id FROM player_friendships WHERE steam_id_b = ?
+    `, [steamId, steamId]);
+    return rows.map(row => row.friend_id);
   }
 
   async createSnapshot(snapshotData) {
@@ -100,6 +302,140 @@ class Database {
     return await this.executeWithRetry(sql, params);
   }
 
+  async saveServerRules(serverId, rules) {
+    console.log(`📜 Saving ${Object.keys(rules).length} rules for server:`, serverId);
+    
+    const current = await this.getServerRules(serverId);
+    const currentValues = new Map(current.map(rule => [rule.rule_name, rule.rule_value]));
+    
+    // The first rules scan of a server is its baseline, not hundreds of changes
+    const firstScan = current.length === 0;
+    
+    for (const [name, value] of Object.entries(rules)) {
+      const previous = currentValues.get(name);
+      
+      if (previous === value) {
+        continue;
+      }
+      
+      // New rule or changed value - keep the old one in the history
+      if (!firstScan) {
+        await this.executeWithRetry(`
+          INSERT INTO server_rule_changes (server_id, rule_name, old_value, new_value)
+          VALUES (?, ?, ?, ?)
+        `, [serverId, name, previous === undefined ? null : previous, value]);
+      }
+      
+      await this.executeWithRetry(`
+        INSERT INTO server_rules (server_id, rule_name, rule_value)
+        VALUES (?, ?, ?)
+        ON CONFLICT(server_id, rule_name) DO UPDATE SET
+          rule_value = excluded.rule_value,
+          last_seen = CURRENT_TIMESTAMP,
+          last_changed = CURRENT_TIMESTAMP
+      `, [serverId, name, value]);
+    }
+    
+    // Rules the server no longer reports
+    for (const [name, previous] of currentValues) {
+      if (!(name in rules)) {
+        await this.executeWithRetry(`
+          INSERT INTO server_rule_changes (server_id, rule_name, old_value, new_value)
+          VALUES (?, ?, ?, NULL)
+        `, [serverId, name, previous]);
+        await this.executeWithRetry('DELETE FROM server_rules WHERE server_id = ? AND rule_name = ?', [serverId, name]);
+      }
+    }
+    
+    return await this.executeWithRetry(
+      'UPDATE server_rules SET last_seen = CURRENT_TIMESTAMP WHERE server_id = ?',
+      [serverId]
+    );
+  }
+
+  async getServerRules(serverId) {
+    const sql = `
+      SELECT rule_name, rule_value, first_seen, last_seen, last_changed
+      FROM server_rules
+      WHERE server_id = ?
+      ORDER BY rule_name
+    `;
+    
+    return await this.all(sql, [serverId]);
+  }
+
+  async getServerRuleHistory(serverId, limit = 100) {
+    const sql = `
+      SELECT rule_name, old_value, new_value, changed_at
+      FROM server_rule_changes
+      WHERE server_id = ?
+      ORDER BY changed_at DESC, id DESC
+      LIMIT ?
+    `;
+    
+    return await this.all(sql, [serverId, limit]);
+  }
+
+  async getManualServers() {
+    return await this.all('SELECT address, note, added_at FROM manual_servers ORDER BY added_at DESC');
+  }
+
+  async addManualServer(address, note = '') {
+    const sql = `
+      INSERT INTO manual_servers (address, note)
+      VALUES (?, ?)
+      ON CONFLICT(address) DO UPDATE SET note = excluded.note
+    `;
+    
+    return await this.executeWithRetry(sql, [address, note]);
+  }
+
+  async removeManualServer(address) {
+    return await this.executeWithRetry('DELETE FROM manual_servers WHERE address = ?', [address]);
+  }
+
+  // SQLite CURRENT_TIMESTAMP is UTC in "YYYY-MM-DD HH:MM:SS" form
+  toSqlTime(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  parseSqlTime(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`).getTime();
+  }
+
+  // Escapes LIKE wildcards in user input; pair with ESCAPE '\\' in the query
+  escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+  }
+
+  async all(sql, params = []) {
+    const db = await this.getConnection();
+    try {
+      return await new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    } finally {
+      this.closeConnection(db);
+    }
+  }
+
+  async get(sql, params = []) {
+    const db = await this.getConnection();
+    try {
+      return await new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+    } finally {
+      this.closeConnection(db);
+    }
+  }
+
   async getServersNeedingReview() {
     console.log('🔍 Getting servers needing manual review...');
     
@@ -46,6 +46,17 @@ class DatabaseSchema {
             is_active BOOLEAN DEFAULT 1,
             country TEXT,
             region TEXT,
+            city TEXT,
+            asn INTEGER, -- autonomous system of the server IP
+            as_org TEXT, -- AS organisation name from the geo lookup
+            hosting_provider TEXT, -- provider from data/hosting-providers.json, else the AS organisation
+            hosting_type TEXT, -- game_host, datacenter, residential, unknown
+            steam_id TEXT, -- server SteamID from A2S_INFO extra data
+            keywords TEXT, -- raw A2S_INFO keywords (gm:, gmws:, loc: tags)
+            game_port INTEGER, -- game port advertised in extra data
+            consecutive_failures INTEGER DEFAULT 0,
+            consecutive_successes INTEGER DEFAULT 0,
+            last_checked DATETIME, -- last query attempt, successful or not
             UNIQUE(ip, port)
           )
         `);
@@ -60,18 +71,47 @@ class DatabaseSchema {
             country TEXT,
             creation_date DATETIME,
             avatar_url TEXT,
+            owns_gmod BOOLEAN, -- NULL when the games list is private
+            total_games INTEGER,
+            gmod_playtime_minutes INTEGER, -- playtime_forever for appid 4000
+            gmod_playtime_2weeks INTEGER, -- minutes, playtime_2weeks for appid 4000
+            games_updated_at DATETIME,
+            friends_updated_at DATETIME,
+            vac_banned BOOLEAN,
+            vac_ban_count INTEGER,
+            game_ban_count INTEGER,
+            community_banned BOOLEAN,
+            economy_ban TEXT, -- none, probation, banned
+            days_since_last_ban INTEGER,
+            bans_updated_at DATETIME,
             first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
             last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
           )
         `);
 
+        // GMod playtime growth, one row per observed change
+        db.run(`
+          CREATE TABLE IF NOT EXISTS player_playtime_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            player_id INTEGER NOT NULL,
+            gmod_playtime_minutes INTEGER,
+            gmod_playtime_2weeks INTEGER,
+            total_games INTEGER,
+            recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (player_id) REFERENCES players (id)
+          )
+        `);
+
         // Detailed session tracking
         db.run(`
           CREATE TABLE IF NOT EXISTS sessions (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             player_id INTEGER,
             server_id INTEGER,
+            player_name TEXT, -- name from A2S_PLAYER
+            identity_id INTEGER, -- pseudonymous identity (player_identities)
             join_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen DATETIME, -- last scan that still listed the player
             leave_time DATETIME,
             duration_seconds INTEGER,
             map_on_join TEXT,
@@ -83,6 +123,38 @@ class DatabaseSchema {
           )
         `);
 
+        // Pseudonymous identities for players seen via A2S_PLAYER (no SteamID there)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS player_identities (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pseudonym TEXT UNIQUE NOT NULL,
+            steam_id TEXT, -- optional link, when known from another source
+            player_id INTEGER,
+            link_source TEXT, -- 'manual', 'profile', 'import', ...
+            linked_at DATETIME,
+            first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (player_id) REFERENCES players (id)
+          )
+        `);
+
+        // Names an identity was seen under, per server
+        db.run(`
+          CREATE TABLE IF NOT EXISTS player_aliases (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            identity_id INTEGER NOT NULL,
+            server_id INTEGER,
+            name TEXT NOT NULL,
+            name_key TEXT NOT NULL, -- normalized name used for matching
+            times_seen INTEGER DEFAULT 1,
+            first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(identity_id, server_id, name),
+            FOREIGN KEY (identity_id) REFERENCES player_identities (id),
+            FOREIGN KEY (server_id) REFERENCES servers (id)
+          )
+        `);
+
         // Session events (detailed tracking)
         db.run(`
           CREATE TABLE IF NOT EXISTS session_events (
@@ -110,11 +182,209 @@ class DatabaseSchema {
             gamemode_confidence REAL DEFAULT 0.0,
             is_polish_server BOOLEAN,
             polish_confidence REAL DEFAULT 0.0,
-            ping_ms INTEGER,
+            ping_ms REAL,
+            FOREIGN KEY (server_id) REFERENCES servers (id)
+          )
+        `);
+
+        // Server convars from A2S_RULES (current values)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS server_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            server_id INTEGER,
+            rule_name TEXT NOT NULL,
+            rule_value TEXT,
+            first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_changed DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(server_id, rule_name),
             FOREIGN KEY (server_id) REFERENCES servers (id)
           )
         `);
 
+        // Convar change history
+        db.run(`
+          CREATE TABLE IF NOT EXISTS server_rule_changes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            server_id INTEGER,
+            rule_name TEXT NOT NULL,
+            old_value TEXT, -- NULL when the rule first appeared
+            new_value TEXT, -- NULL when the rule disappeared
+            changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (server_id) REFERENCES servers (id)
+          )
+        `);
+
+        // Name, tags, slots, version and password changes (rebrands, slot increases)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS server_changes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            server_id INTEGER NOT NULL,
+            field TEXT NOT NULL, -- name, tags, max_players, version, password_protected
+            old_value TEXT,
+            new_value TEXT,
+            changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (server_id) REFERENCES servers (id)
+          )
+        `);
+
+        // Online/offline transitions (is_active changes)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS server_status_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            server_id INTEGER,
+            event_type TEXT, -- 'online', 'offline'
+            event_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+            consecutive_count INTEGER, -- successes/failures that triggered the transition
+            reason TEXT,
+            FOREIGN KEY (server_id) REFERENCES servers (id)
+          )
+        `);
+
+        // Servers added by hand for the manual discovery provider
+        db.run(`
+          CREATE TABLE IF NOT EXISTS manual_servers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            address TEXT UNIQUE NOT NULL, -- ip:port
+            note TEXT,
+            added_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // Ban state changes from GetPlayerBans; is_new_ban rows are alerts
+        db.run(`
+          CREATE TABLE IF NOT EXISTS player_ban_changes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            player_id INTEGER NOT NULL,
+            ban_type TEXT NOT NULL, -- vac, game, community, economy
+            old_value TEXT,
+            new_value TEXT,
+            is_new_ban BOOLEAN DEFAULT 0,
+            changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            acknowledged_at DATETIME,
+            FOREIGN KEY (player_id) REFERENCES players (id)
+          )
+        `);
+
+        // Undirected Steam friend edges, steam_id_a < steam_id_b
+        db.run(`
+          CREATE TABLE IF NOT EXISTS player_friendships (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            steam_id_a TEXT NOT NULL,
+            steam_id_b TEXT NOT NULL,
+            friend_since DATETIME,
+            first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(steam_id_a, steam_id_b)
+          )
+        `);
+
+        // Steam Web API responses behind the in-memory cache; value NULL = negative entry
+        db.run(`
+          CREATE TABLE IF NOT EXISTS steam_api_cache (
+            cache_key TEXT PRIMARY KEY,
+            endpoint TEXT NOT NULL,
+            value TEXT,
+            is_negative BOOLEAN DEFAULT 0,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            hits INTEGER DEFAULT 0
+          )
+        `);
+
+        // Steam Web API calls per UTC day (100k/day key quota)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS steam_api_usage (
+            day TEXT PRIMARY KEY, -- YYYY-MM-DD
+            requests INTEGER DEFAULT 0
+          )
+        `);
+
+        // Pending Steam profile fetches - survives restarts, failed items back off
+        db.run(`
+          CREATE TABLE IF NOT EXISTS steam_queue (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            steam_id TEXT UNIQUE NOT NULL,
+            priority TEXT DEFAULT 'normal' CHECK(priority IN ('high', 'normal')),
+            source TEXT,
+            status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'processing', 'dead')),
+            attempts INTEGER DEFAULT 0,
+            next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_error TEXT,
+            added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // Online IP geolocation results (offline GeoIP lookups are not cached)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS ip_geolocation (
+            ip TEXT PRIMARY KEY,
+            country TEXT,
+            region TEXT,
+            city TEXT,
+            asn INTEGER,
+            hosting_provider TEXT,
+            source TEXT,
+            expires_at DATETIME NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // Server networks run by one community (automatic grouping plus manual merge/split)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS communities (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            is_manual BOOLEAN DEFAULT 0, -- renamed, merged or split by hand
+            grouped_by TEXT, -- key types that linked the servers: ip,prefix,download,discord
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        db.run(`
+          CREATE TABLE IF NOT EXISTS community_servers (
+            server_id INTEGER PRIMARY KEY,
+            community_id INTEGER NOT NULL,
+            assigned_by TEXT DEFAULT 'auto', -- auto, manual (kept by regrouping)
+            assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (server_id) REFERENCES servers (id),
+            FOREIGN KEY (community_id) REFERENCES communities (id)
+          )
+        `);
+
+        // Past addresses of servers merged into a canonical identity
+        db.run(`
+          CREATE TABLE IF NOT EXISTS server_aliases (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            server_id INTEGER NOT NULL, -- canonical server
+            ip TEXT NOT NULL,
+            port INTEGER NOT NULL,
+            first_seen DATETIME,
+            last_seen DATETIME,
+            merged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(ip, port),
+            FOREIGN KEY (server_id) REFERENCES servers (id)
+          )
+        `);
+
+        // Old/new server rows matched by SteamID, name and rule fingerprint
+        db.run(`
+          CREATE TABLE IF NOT EXISTS server_merge_candidates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            old_server_id INTEGER NOT NULL, -- stays as the canonical identity
+            new_server_id INTEGER NOT NULL, -- merged into the old one
+            score REAL,
+            reasons TEXT, -- JSON: {steam_id, name, rules}
+            status TEXT DEFAULT 'proposed', -- proposed, applied, rejected
+            decided_by TEXT, -- auto, manual
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            decided_at DATETIME,
+            UNIQUE(old_server_id, new_server_id)
+          )
+        `);
+
         console.log('✅ Created core tables');
         resolve(db);
       });
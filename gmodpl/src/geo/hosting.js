@@ -0,0 +1,191 @@
+const fs = require('fs');
+const database = require('../database');
+const LocalGeoDatabase = require('./local');
+const { brandWords } = require('../servers/names');
+
+class HostingService {
+  constructor(options = {}) {
+    // JSON list of providers with their ASNs, IP ranges and AS organisation patterns
+    this.filePath = options.filePath || process.env.HOSTING_PROVIDERS_FILE || './data/hosting-providers.json';
+    this.providers = null;
+    this.loadedMtime = null;
+  }
+
+  // Re-read whenever the file changes, so edits apply on the next scan without a restart
+  load() {
+    let mtime = null;
+    try {
+      mtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      if (this.providers === null) {
+        console.log(`📄 Hosting provider file not found: ${this.filePath}`);
+      }
+      this.providers = this.providers || [];
+      return this.providers;
+    }
+
+    if (this.providers && mtime === this.loadedMtime) {
+      return this.providers;
+    }
+    this.loadedMtime = mtime;
+    this.providers = this.providers || [];
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.providers = (data.providers || []).map(provider => ({
+        name: provider.name,
+        type: provider.type || 'unknown',
+        country: provider.country || null,
+        asns: new Set((provider.asns || []).map(Number)),
+        ranges: (provider.ranges || []).map(range => LocalGeoDatabase.cidrToRange(range)).filter(Boolean),
+        patterns: (provider.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+      }));
+      console.log(`🏢 Loaded ${this.providers.length} hosting providers from ${this.filePath}`);
+    } catch (error) {
+      console.error(`❌ Failed to load hosting providers from ${this.filePath}:`, error.message);
+    }
+
+    return this.providers;
+  }
+
+  // IP ranges first - game hosts resell datacenter space, so their ranges
+  // must win over the datacenter's ASN. Then ASN, then the AS organisation name.
+  classify(ip, location = {}) {
+    const providers = this.load();
+    const address = LocalGeoDatabase.ipToNumber(ip);
+
+    if (address !== null) {
+      const byRange = providers.find(provider =>
+        provider.ranges.some(range => address >= range.start && address <= range.end));
+      if (byRange) {
+        return { provider: byRange.name, type: byRange.type, matched_by: 'range' };
+      }
+    }
+
+    if (location.asn) {
+      const byAsn = providers.find(provider => provider.asns.has(Number(location.asn)));
+      if (byAsn) {
+        return { provider: byAsn.name, type: byAsn.type, matched_by: 'asn' };
+      }
+    }
+
+    const asOrg = location.hosting_provider;
+    if (asOrg) {
+      const byName = providers.find(provider => provider.patterns.some(pattern => pattern.test(asOrg)));
+      if (byName) {
+        return { provider: byName.name, type: byName.type, matched_by: 'name' };
+      }
+    }
+
+    return { provider: asOrg || null, type: asOrg ? 'unknown' : null, matched_by: null };
+  }
+
+  // Re-applies the data file to stored servers without waiting for the next scan.
+  // Classifies from the stored AS organisation - hosting_provider is our own output.
+  async reclassifyServers() {
+    const servers = await database.all('SELECT id, ip, asn, as_org FROM servers');
+    let changed = 0;
+
+    for (const server of servers) {
+      const hosting = this.classify(server.ip, { asn: server.asn, hosting_provider: server.as_org });
+      // Scanned before as_org was stored: keep the old result until a range or ASN matches
+      if (!hosting.matched_by && !server.as_org) {
+        continue;
+      }
+      const result = await database.executeWithRetry(
+        'UPDATE servers SET hosting_provider = ?, hosting_type = ? WHERE id = ? AND (hosting_provider IS NOT ? OR hosting_type IS NOT ?)',
+        [hosting.provider, hosting.type, server.id, hosting.provider, hosting.type]
+      );
+      changed += result.changes || 0;
+    }
+
+    return { servers: servers.length, changed };
+  }
+
+  async getProviders() {
+    return await database.all(`
+      SELECT COALESCE(hosting_provider, 'Unknown') AS hosting_provider,
+             hosting_type,
+             GROUP_CONCAT(DISTINCT asn) AS asns,
+             COUNT(*) AS servers,
+             COUNT(CASE WHEN is_active = 1 THEN 1 END) AS active_servers,
+             COUNT(CASE WHEN country = 'PL' THEN 1 END) AS polish_servers,
+             COUNT(DISTINCT ip) AS ips,
+             COUNT(DISTINCT CASE WHEN ip IN (
+               SELECT ip FROM servers GROUP BY ip HAVING COUNT(*) > 1
+             ) THEN ip END) AS shared_ips
+      FROM servers
+      GROUP BY hosting_provider, hosting_type
+      ORDER BY servers DESC
+    `);
+  }
+
+  async getProviderServers(provider) {
+    return await database.all(`
+      SELECT id, ip, port, name, map, is_active, country, city, asn, hosting_provider, hosting_type, last_seen
+      FROM servers
+      WHERE COALESCE(hosting_provider, 'Unknown') = ?
+      ORDER BY ip, port
+    `, [provider]);
+  }
+
+  // IPs running more than one server - either one community's network or a reseller's box
+  async getSharedIps(options = {}) {
+    const rows = await database.all(`
+      SELECT id, ip, port, name, is_active, country, asn, hosting_provider, hosting_type
+      FROM servers
+      WHERE ip IN (SELECT ip FROM servers GROUP BY ip HAVING COUNT(*) >= ?)
+      ORDER BY ip, port
+    `, [options.minServers || 2]);
+
+    const networks = new Map();
+    for (const row of rows) {
+      if (!networks.has(row.ip)) {
+        networks.set(row.ip, {
+          ip: row.ip,
+          hosting_provider: row.hosting_provider,
+          hosting_type: row.hosting_type,
+          asn: row.asn,
+          servers: []
+        });
+      }
+      networks.get(row.ip).servers.push({ id: row.id, port: row.port, name: row.name, is_active: row.is_active });
+    }
+
+    return Array.from(networks.values())
+      .map(network => ({ ...network, ...this.describeNetwork(network) }))
+      .sort((a, b) => b.servers.length - a.servers.length);
+  }
+
+  // A word shared by most server names on one IP is a community brand. Game hosts
+  // without one are reseller boxes renting slots to unrelated owners.
+  describeNetwork(network) {
+    const wordCounts = new Map();
+    for (const server of network.servers) {
+      for (const word of brandWords(server.name)) {
+        wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+      }
+    }
+
+    let brand = null;
+    let brandCount = 0;
+    for (const [word, count] of wordCounts) {
+      if (count > brandCount || (count === brandCount && word < brand)) {
+        brand = word;
+        brandCount = count;
+      }
+    }
+
+    const branded = brandCount >= 2 && brandCount >= network.servers.length / 2;
+    let kind = 'unknown';
+    if (branded) {
+      kind = 'community';
+    } else if (network.hosting_type === 'game_host') {
+      kind = 'reseller';
+    }
+
+    return { brand: branded ? brand : null, kind };
+  }
+}
+
+module.exports = HostingService;
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const net = require('net');
+const maxmind = require('maxmind');
+
+// Offline GeoIP lookups from a MaxMind .mmdb file or a CSV range table
+class LocalGeoDatabase {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.format = filePath.toLowerCase().endsWith('.csv') ? 'csv' : 'mmdb';
+    this.reader = null;
+    this.ranges = [];
+  }
+
+  async load() {
+    if (this.format === 'mmdb') {
+      this.reader = await maxmind.open(this.filePath);
+      console.log(`🌍 Loaded GeoIP database ${this.filePath} (${this.reader.metadata.databaseType})`);
+    } else {
+      this.ranges = this.loadCsv(fs.readFileSync(this.filePath, 'utf8'));
+      console.log(`🌍 Loaded GeoIP CSV ${this.filePath} (${this.ranges.length} ranges)`);
+    }
+  }
+
+  lookup(ip) {
+    if (this.format === 'mmdb') {
+      return this.reader ? this.fromMaxMind(this.reader.get(ip)) : null;
+    }
+    return this.findRange(ip);
+  }
+
+  // City/Country and ASN databases share this path - missing fields stay null
+  fromMaxMind(record) {
+    if (!record) {
+      return null;
+    }
+
+    return {
+      country: record.country?.iso_code || record.registered_country?.iso_code || null,
+      region: record.subdivisions?.[0]?.names?.en || null,
+      city: record.city?.names?.en || null,
+      asn: record.autonomous_system_number || null,
+      as_org: record.autonomous_system_organization || null
+    };
+  }
+
+  // Header names follow the GeoLite2 CSV and common IP-range exports:
+  // network (CIDR) or start_ip/end_ip, then country_code, region, city, asn, as_org
+  loadCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const header = this.parseCsvLine(lines[0]).map(name => name.trim().toLowerCase());
+    const column = (...names) => names.map(name => header.indexOf(name)).find(index => index !== -1);
+    const columns = {
+      network: column('network', 'cidr'),
+      start: column('start_ip', 'ip_from', 'range_start'),
+      end: column('end_ip', 'ip_to', 'range_end'),
+      country: column('country_code', 'country_iso_code', 'country'),
+      region: column('region', 'subdivision', 'subdivision_1_name'),
+      city: column('city', 'city_name'),
+      asn: column('asn', 'autonomous_system_number'),
+      asOrg: column('as_org', 'autonomous_system_organization', 'org', 'isp')
+    };
+
+    const ranges = [];
+    for (const line of lines.slice(1)) {
+      const fields = this.parseCsvLine(line);
+      const field = index => (index !== undefined && fields[index] ? fields[index].trim() : null);
+
+      const range = columns.network !== undefined
+        ? LocalGeoDatabase.cidrToRange(field(columns.network))
+        : { start: LocalGeoDatabase.ipToNumber(field(columns.start)), end: LocalGeoDatabase.ipToNumber(field(columns.end)) };
+
+      if (!range || range.start === null || range.end === null) {
+        continue;
+      }
+
+      const asn = field(columns.asn);
+      ranges.push({
+        start: range.start,
+        end: range.end,
+        country: field(columns.country)?.toUpperCase() || null,
+        region: field(columns.region),
+        city: field(columns.city),
+        asn: asn ? parseInt(asn.replace(/^AS/i, '')) || null : null,
+        as_org: field(columns.asOrg)
+      });
+    }
+
+    return ranges.sort((a, b) => a.start - b.start);
+  }
+
+  parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        fields.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    fields.push(current);
+
+    return fields;
+  }
+
+  // Dotted IPv4 or a plain integer (IP2Location style exports)
+  static ipToNumber(value) {
+    if (!value) {
+      return null;
+    }
+    if (/^\d+$/.test(value)) {
+      return Number(value);
+    }
+    if (!net.isIPv4(value)) {
+      return null;
+    }
+    return value.split('.').reduce((total, octet) => total * 256 + Number(octet), 0);
+  }
+
+  static cidrToRange(cidr) {
+    const [address, bits] = String(cidr || '').split('/');
+    const start = LocalGeoDatabase.ipToNumber(address);
+    const prefix = bits === undefined ? 32 : Number(bits);
+
+    if (start === null || !(prefix >= 0 && prefix <= 32)) {
+      return null;
+    }
+
+    const size = 2 ** (32 - prefix);
+    const base = Math.floor(start / size) * size;
+    return { start: base, end: base + size - 1 };
+  }
+
+  // Binary search for the last range starting at or before the address
+  findRange(ip) {
+    const value = LocalGeoDatabase.ipToNumber(ip);
+    if (value === null) {
+      return null;
+    }
+
+    let low = 0;
+    let high = this.ranges.length - 1;
+    let found = null;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (this.ranges[middle].start <= value) {
+        found = this.ranges[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    if (!found || found.end < value) {
+      return null;
+    }
+
+    const location = { ...found };
+    delete location.start;
+    delete location.end;
+    return location;
+  }
+}
+
+module.exports = LocalGeoDatabase;
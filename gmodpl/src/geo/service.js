@@ -0,0 +1,238 @@
+const axios = require('axios');
+const net = require('net');
+const database = require('../database');
+const LocalGeoDatabase = require('./local');
+
+class GeoLocationService {
+  constructor(options = {}) {
+    // Offline databases: a City/Country one for location and an ASN one for the network owner.
+    // A single CSV with every column works for both.
+    this.databasePaths = {
+      location: options.databasePath || process.env.GEOIP_DB_PATH || null,
+      asn: options.asnDatabasePath || process.env.GEOIP_ASN_DB_PATH || null
+    };
+    this.databases = {};
+    this.loading = null;
+
+    // ipgeolocation.io fills whatever the offline data is missing
+    this.apiKey = options.apiKey || process.env.IPGEOLOCATION_API_KEY || null;
+    this.apiUrl = 'https://api.ipgeolocation.io/ipgeo';
+    this.cacheTTL = (parseInt(process.env.GEOIP_CACHE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+    this.failureTTL = 60 * 60 * 1000; // Provider errors are retried after an hour
+
+    // Hot layer in front of the ip_geolocation table
+    this.memory = new Map();
+
+    this.stats = {
+      localLookups: 0,
+      onlineLookups: 0,
+      cacheHits: 0,
+      failures: 0
+    };
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.loadDatabases();
+    }
+    return this.loading;
+  }
+
+  async loadDatabases() {
+    for (const [kind, filePath] of Object.entries(this.databasePaths)) {
+      if (!filePath) {
+        continue;
+      }
+
+      try {
+        const geoDatabase = new LocalGeoDatabase(filePath);
+        await geoDatabase.load();
+        this.databases[kind] = geoDatabase;
+      } catch (error) {
+        console.error(`❌ Failed to load GeoIP database ${filePath}:`, error.message);
+      }
+    }
+
+    if (Object.keys(this.databases).length === 0 && !this.apiKey) {
+      console.log('⚠️ No GeoIP database or IPGEOLOCATION_API_KEY configured, server locations stay Unknown');
+    }
+  }
+
+  // LAN/loopback addresses have no location
+  isPublicAddress(ip) {
+    if (!net.isIP(ip)) {
+      return false;
+    }
+    return !/^(10\.|127\.|0\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|::1$|f[cd]|fe80:)/i.test(ip);
+  }
+
+  // { country, region, city, asn, hosting_provider, source } or null when nothing is known
+  async lookup(ip) {
+    if (!this.isPublicAddress(ip)) {
+      return null;
+    }
+
+    await this.load();
+
+    const location = this.lookupLocal(ip);
+    if (location && location.country && location.asn) {
+      return location;
+    }
+
+    const online = await this.lookupOnline(ip);
+    if (!online) {
+      return location;
+    }
+
+    // Offline values win, the provider only fills gaps
+    if (!location) {
+      return online;
+    }
+    const merged = { ...location };
+    for (const [field, value] of Object.entries(online)) {
+      if (merged[field] === null || merged[field] === undefined) {
+        merged[field] = value;
+      }
+    }
+    merged.source = `${location.source}+${online.source}`;
+    return merged;
+  }
+
+  lookupLocal(ip) {
+    const databases = [this.databases.location, this.databases.asn].filter(Boolean);
+    if (databases.length === 0) {
+      return null;
+    }
+
+    this.stats.localLookups++;
+    const location = { country: null, region: null, city: null, asn: null, hosting_provider: null, source: 'local' };
+
+    for (const geoDatabase of databases) {
+      let record = null;
+      try {
+        record = geoDatabase.lookup(ip);
+      } catch (error) {
+        console.error(`❌ GeoIP lookup failed for ${ip}:`, error.message);
+      }
+      if (!record) {
+        continue;
+      }
+
+      location.country = location.country || record.country;
+      location.region = location.region || record.region;
+      location.city = location.city || record.city;
+      location.asn = location.asn || record.asn;
+      location.hosting_provider = location.hosting_provider || record.as_org;
+    }
+
+    return location.country || location.asn ? location : null;
+  }
+
+  async lookupOnline(ip) {
+    if (!this.apiKey) {
+      return null;
+    }
+
+    const cached = await this.getCached(ip);
+    if (cached !== undefined) {
+      this.stats.cacheHits++;
+      return cached;
+    }
+
+    try {
+      const response = await axios.get(this.apiUrl, {
+        params: { apiKey: this.apiKey, ip },
+        timeout: 10000
+      });
+      this.stats.onlineLookups++;
+
+      const data = response.data || {};
+      const asn = data.asn ? parseInt(String(data.asn).replace(/^AS/i, '')) || null : null;
+      const location = {
+        country: data.country_code2 || null,
+        region: data.state_prov || null,
+        city: data.city || null,
+        asn,
+        hosting_provider: data.organization || data.isp || null,
+        source: 'ipgeolocation'
+      };
+
+      await this.setCached(ip, location);
+      return location;
+    } catch (error) {
+      this.stats.failures++;
+      console.error(`❌ IP geolocation request failed for ${ip}:`, error.response?.status || error.message);
+      // Remember the failure briefly so every scan does not hit the provider again
+      this.memory.set(ip, { location: null, expiresAt: Date.now() + this.failureTTL });
+      return null;
+    }
+  }
+
+  // undefined = miss, null = recent failure, anything else = cached location
+  async getCached(ip) {
+    const entry = this.memory.get(ip);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.location;
+    }
+    this.memory.delete(ip);
+
+    if (!database.isInitialized) {
+      return undefined;
+    }
+
+    const row = await database.get(
+      'SELECT country, region, city, asn, hosting_provider, source, expires_at FROM ip_geolocation WHERE ip = ? AND expires_at > ?',
+      [ip, database.toSqlTime(Date.now())]
+    );
+    if (!row) {
+      return undefined;
+    }
+
+    const { expires_at: expiresAt, ...location } = row;
+    this.memory.set(ip, { location, expiresAt: database.parseSqlTime(expiresAt) });
+    return location;
+  }
+
+  async setCached(ip, location) {
+    const expiresAt = Date.now() + this.cacheTTL;
+    this.memory.set(ip, { location, expiresAt });
+
+    if (!database.isInitialized) {
+      return;
+    }
+
+    await database.executeWithRetry(`
+      INSERT INTO ip_geolocation (ip, country, region, city, asn, hosting_provider, source, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(ip) DO UPDATE SET
+        country = excluded.country,
+        region = excluded.region,
+        city = excluded.city,
+        asn = excluded.asn,
+        hosting_provider = excluded.hosting_provider,
+        source = excluded.source,
+        expires_at = excluded.expires_at,
+        updated_at = CURRENT_TIMESTAMP
+    `, [ip, location.country, location.region, location.city, location.asn, location.hosting_provider,
+      location.source, database.toSqlTime(expiresAt)]);
+  }
+
+  async purgeExpired() {
+    const result = await database.executeWithRetry(
+      'DELETE FROM ip_geolocation WHERE expires_at <= ?',
+      [database.toSqlTime(Date.now())]
+    );
+    return result.changes || 0;
+  }
+
+  getStats() {
+    return {
+      databases: Object.fromEntries(Object.entries(this.databases).map(([kind, geoDatabase]) => [kind, geoDatabase.filePath])),
+      onlineProvider: this.apiKey ? 'ipgeolocation' : null,
+      memoryEntries: this.memory.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = GeoLocationService;
@@ -1,11 +1,14 @@
 const tf = require('@tensorflow/tfjs-node');
 const database = require('../database');
+const MapAnalyticsService = require('../servers/maps');
+const { parseGamemodeTag } = require('../servers/gamemodes');
 
 class MLService {
   constructor() {
     // Models will be loaded/created here
     this.gamemodeModel = null;
     this.polishServerModel = null;
+    this.mapAnalytics = new MapAnalyticsService();
     
     // Confidence thresholds
     this.polishConfidenceThreshold = 0.7; // Above this = confident Polish server
@@ -202,6 +205,17 @@ class MLService {
   }
 
   predictGamemodeRuleBased(serverData) {
+    // The gm: keyword tag is reported by the server itself, so trust it first
+    const tag = parseGamemodeTag(serverData.tags);
+    if (tag) {
+      return {
+        gamemode: tag.gamemode,
+        confidence: tag.known ? 0.95 : 0.85,
+        needs_review: false,
+        prediction_reason: `Tag-based match: gm:${tag.folder}`
+      };
+    }
+    
     const text = `${serverData.name || ''} ${serverData.tags || ''} ${serverData.map || ''}`.toLowerCase();
     
     let bestMatch = null;
@@ -504,6 +518,9 @@ class MLService {
         console.log('📭 No new feedback data available');
       }
       
+      // Map/gamemode statistics from snapshots go into learned_patterns
+      await this.mapAnalytics.learnPatterns();
+      
     } catch (error) {
       console.error('❌ Learning from feedback failed:', error.message);
     }
@@ -0,0 +1,172 @@
+const database = require('../database');
+
+class PlayerBanService {
+  constructor(options = {}) {
+    this.activityWindowDays = options.activityWindowDays || 7;
+
+    this.stats = {
+      playersChecked: 0,
+      changesRecorded: 0,
+      newBans: 0
+    };
+  }
+
+  // GetPlayerBans fields mapped to comparable per-type values
+  normalizeBans(bans) {
+    return {
+      vac: bans.NumberOfVACBans || 0,
+      game: bans.NumberOfGameBans || 0,
+      community: bans.CommunityBanned ? 1 : 0,
+      economy: bans.EconomyBan || 'none'
+    };
+  }
+
+  // A higher ban count or a flag turning on is a new ban
+  isNewBan(type, oldValue, newValue) {
+    if (type === 'economy') {
+      return oldValue === 'none' && newValue !== 'none';
+    }
+    return Number(newValue) > Number(oldValue);
+  }
+
+  isClean(type, value) {
+    return type === 'economy' ? value === 'none' : Number(value) === 0;
+  }
+
+  async recordBans(bansList) {
+    const newBans = [];
+
+    for (const bans of bansList) {
+      const player = await database.get(`
+        SELECT id, steam_id, username, vac_ban_count, game_ban_count, community_banned, economy_ban, bans_updated_at
+        FROM players WHERE steam_id = ?
+      `, [bans.SteamId]);
+
+      // Summary failed or profile gone - nothing to attach the bans to
+      if (!player) {
+        continue;
+      }
+
+      const current = this.normalizeBans(bans);
+      const known = player.bans_updated_at !== null;
+      const previous = {
+        vac: player.vac_ban_count,
+        game: player.game_ban_count,
+        community: player.community_banned,
+        economy: player.economy_ban
+      };
+
+      for (const [type, value] of Object.entries(current)) {
+        const oldValue = known ? previous[type] : null;
+
+        // First check: only existing bans go into the history, never as alerts
+        if (!known && this.isClean(type, value)) {
+          continue;
+        }
+        if (known && String(oldValue) === String(value)) {
+          continue;
+        }
+
+        const isNewBan = known && this.isNewBan(type, oldValue, value);
+        await database.executeWithRetry(`
+          INSERT INTO player_ban_changes (player_id, ban_type, old_value, new_value, is_new_ban)
+          VALUES (?, ?, ?, ?, ?)
+        `, [player.id, type, oldValue === null ? null : String(oldValue), String(value), isNewBan ? 1 : 0]);
+        this.stats.changesRecorded++;
+
+        if (isNewBan) {
+          newBans.push({ steamId: player.steam_id, username: player.username, type, oldValue, newValue: value });
+        }
+      }
+
+      await database.executeWithRetry(`
+        UPDATE players
+        SET vac_banned = ?, vac_ban_count = ?, game_ban_count = ?, community_banned = ?, economy_ban = ?,
+            days_since_last_ban = ?, bans_updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        bans.VACBanned ? 1 : 0, current.vac, current.game, current.community, current.economy,
+        bans.DaysSinceLastBan || 0, player.id
+      ]);
+      this.stats.playersChecked++;
+    }
+
+    for (const ban of newBans) {
+      console.error(`\n🚨 BAN ALERT: ${ban.username || ban.steamId} (${ban.steamId}) received a new ${ban.type} ban (${ban.oldValue} → ${ban.newValue})\n`);
+    }
+    this.stats.newBans += newBans.length;
+
+    return newBans;
+  }
+
+  async getAlerts(options = {}) {
+    return await database.all(`
+      SELECT c.id, c.ban_type, c.old_value, c.new_value, c.changed_at, c.acknowledged_at,
+             p.steam_id, p.username
+      FROM player_ban_changes c
+      JOIN players p ON p.id = c.player_id
+      WHERE c.is_new_ban = 1 ${options.includeAcknowledged ? '' : 'AND c.acknowledged_at IS NULL'}
+      ORDER BY c.changed_at DESC
+      LIMIT ?
+    `, [options.limit || 100]);
+  }
+
+  async acknowledgeAlert(alertId) {
+    const result = await database.executeWithRetry(`
+      UPDATE player_ban_changes SET acknowledged_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND is_new_ban = 1 AND acknowledged_at IS NULL
+    `, [alertId]);
+    return result.changes > 0;
+  }
+
+  async getPlayerBanHistory(steamId) {
+    return await database.all(`
+      SELECT c.ban_type, c.old_value, c.new_value, c.is_new_ban, c.changed_at
+      FROM player_ban_changes c
+      JOIN players p ON p.id = c.player_id
+      WHERE p.steam_id = ?
+      ORDER BY c.changed_at DESC, c.id DESC
+    `, [steamId]);
+  }
+
+  bannedCondition(alias) {
+    return `(${alias}.vac_ban_count > 0 OR ${alias}.game_ban_count > 0 OR ${alias}.community_banned = 1 OR ${alias}.economy_ban IN ('probation', 'banned'))`;
+  }
+
+  // Banned accounts seen per server - sessions reach Steam accounts through linked identities
+  async getServerBanStats(windowDays = this.activityWindowDays) {
+    return await database.all(`
+      SELECT s.server_id, sv.name, sv.ip, sv.port,
+             COUNT(DISTINCT p.steam_id) AS tracked_players,
+             COUNT(DISTINCT CASE WHEN ${this.bannedCondition('p')} THEN p.steam_id END) AS banned_players,
+             COUNT(DISTINCT CASE WHEN ${this.bannedCondition('p')} AND s.is_active = 1 THEN p.steam_id END) AS banned_online,
+             COUNT(DISTINCT CASE WHEN p.vac_ban_count > 0 THEN p.steam_id END) AS vac_banned_players
+      FROM sessions s
+      JOIN player_identities pi ON pi.id = s.identity_id
+      JOIN players p ON p.steam_id = pi.steam_id
+      JOIN servers sv ON sv.id = s.server_id
+      WHERE s.join_time >= datetime('now', ?) AND p.bans_updated_at IS NOT NULL
+      GROUP BY s.server_id
+      ORDER BY banned_players DESC, tracked_players DESC
+    `, [`-${windowDays} days`]);
+  }
+
+  async getServerBannedPlayers(serverId, windowDays = this.activityWindowDays) {
+    return await database.all(`
+      SELECT p.steam_id, p.username, p.vac_ban_count, p.game_ban_count, p.community_banned, p.economy_ban,
+             p.days_since_last_ban, MAX(s.last_seen) AS last_seen, MAX(s.is_active) AS online
+      FROM sessions s
+      JOIN player_identities pi ON pi.id = s.identity_id
+      JOIN players p ON p.steam_id = pi.steam_id
+      WHERE s.server_id = ? AND s.join_time >= datetime('now', ?) AND ${this.bannedCondition('p')}
+      GROUP BY p.steam_id
+      ORDER BY online DESC, last_seen DESC
+    `, [serverId, `-${windowDays} days`]);
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = PlayerBanService;
@@ -0,0 +1,208 @@
+const database = require('../database');
+
+class FriendClusterService {
+  constructor(options = {}) {
+    this.maxIterations = options.maxIterations || 20;
+    this.minClusterSize = options.minClusterSize || 3;
+    this.timelineWeeks = options.timelineWeeks || 8;
+  }
+
+  // Friend communities among tracked players and the servers each one plays on
+  async detectClusters(options = {}) {
+    const polishOnly = options.polishOnly !== undefined ? options.polishOnly : true;
+    const minSize = options.minSize || this.minClusterSize;
+
+    const members = await this.getCandidatePlayers(polishOnly);
+    const adjacency = await this.buildGraph(members);
+    const labels = this.labelPropagation(adjacency);
+
+    const groups = new Map();
+    for (const [steamId, label] of labels) {
+      if (!groups.has(label)) {
+        groups.set(label, []);
+      }
+      groups.get(label).push(steamId);
+    }
+
+    const clusters = [];
+    for (const [label, steamIds] of groups) {
+      if (steamIds.length < minSize) {
+        continue;
+      }
+
+      clusters.push({
+        label,
+        size: steamIds.length,
+        edges: this.countInternalEdges(adjacency, steamIds),
+        members: steamIds.map(steamId => members.get(steamId)),
+        servers: await this.getClusterServers(steamIds),
+        timeline: await this.getClusterTimeline(steamIds)
+      });
+    }
+
+    clusters.sort((a, b) => b.size - a.size);
+
+    return {
+      players: members.size,
+      edges: Array.from(adjacency.values()).reduce((total, friends) => total + friends.size, 0) / 2,
+      clusters,
+      shared_servers: this.findSharedServers(clusters)
+    };
+  }
+
+  // Polish = Steam country PL or seen on a server flagged as Polish
+  async getCandidatePlayers(polishOnly) {
+    const rows = await database.all(`
+      SELECT p.steam_id, p.username, p.country, p.gmod_playtime_minutes
+      FROM players p
+      ${polishOnly ? `
+      WHERE p.country = 'PL' OR p.steam_id IN (
+        SELECT pi.steam_id FROM player_identities pi
+        JOIN sessions s ON s.identity_id = pi.id
+        JOIN server_snapshots ss ON ss.server_id = s.server_id AND ss.is_polish_server = 1
+        WHERE pi.steam_id IS NOT NULL
+      )` : ''}
+    `);
+
+    return new Map(rows.map(row => [row.steam_id, row]));
+  }
+
+  async buildGraph(members) {
+    const adjacency = new Map();
+    for (const steamId of members.keys()) {
+      adjacency.set(steamId, new Set());
+    }
+
+    const edges = await database.all('SELECT steam_id_a, steam_id_b FROM player_friendships');
+    for (const edge of edges) {
+      // Only edges with both ends tracked - unknown friends carry no server data
+      if (adjacency.has(edge.steam_id_a) && adjacency.has(edge.steam_id_b)) {
+        adjacency.get(edge.steam_id_a).add(edge.steam_id_b);
+        adjacency.get(edge.steam_id_b).add(edge.steam_id_a);
+      }
+    }
+
+    return adjacency;
+  }
+
+  // Asynchronous label propagation in a fixed order with the smallest label
+  // winning ties, so the same graph always gives the same clusters
+  labelPropagation(adjacency) {
+    const labels = new Map();
+    const nodes = Array.from(adjacency.keys()).sort();
+    nodes.forEach(node => labels.set(node, node));
+
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      let changed = false;
+
+      for (const node of nodes) {
+        const neighbours = adjacency.get(node);
+        if (neighbours.size === 0) {
+          continue;
+        }
+
+        const counts = new Map();
+        for (const neighbour of neighbours) {
+          const label = labels.get(neighbour);
+          counts.set(label, (counts.get(label) || 0) + 1);
+        }
+
+        let best = labels.get(node);
+        let bestCount = counts.get(best) || 0;
+        for (const [label, count] of counts) {
+          if (count > bestCount || (count === bestCount && label < best)) {
+            best = label;
+            bestCount = count;
+          }
+        }
+
+        if (best !== labels.get(node)) {
+          labels.set(node, best);
+          changed = true;
+        }
+      }
+
+      if (!changed) {
+        break;
+      }
+    }
+
+    return labels;
+  }
+
+  countInternalEdges(adjacency, steamIds) {
+    const memberSet = new Set(steamIds);
+    let edges = 0;
+    for (const steamId of steamIds) {
+      for (const friend of adjacency.get(steamId)) {
+        if (memberSet.has(friend)) {
+          edges++;
+        }
+      }
+    }
+    return edges / 2;
+  }
+
+  // Sessions reach Steam accounts through linked pseudonymous identities
+  async getClusterServers(steamIds, limit = 10) {
+    return await database.all(`
+      SELECT s.server_id, sv.name, sv.ip, sv.port,
+             COUNT(DISTINCT pi.steam_id) AS members_seen,
+             COUNT(*) AS sessions,
+             SUM(s.duration_seconds) AS playtime_seconds,
+             MAX(s.last_seen) AS last_seen
+      FROM sessions s
+      JOIN player_identities pi ON pi.id = s.identity_id
+      JOIN servers sv ON sv.id = s.server_id
+      WHERE pi.steam_id IN (${steamIds.map(() => '?').join(', ')})
+      GROUP BY s.server_id
+      ORDER BY members_seen DESC, playtime_seconds DESC
+      LIMIT ?
+    `, [...steamIds, limit]);
+  }
+
+  // Weekly top servers - shows a cluster moving from one server to another
+  async getClusterTimeline(steamIds) {
+    const rows = await database.all(`
+      SELECT strftime('%Y-%W', s.join_time) AS week, s.server_id, sv.name,
+             COUNT(DISTINCT pi.steam_id) AS members_seen,
+             SUM(s.duration_seconds) AS playtime_seconds
+      FROM sessions s
+      JOIN player_identities pi ON pi.id = s.identity_id
+      JOIN servers sv ON sv.id = s.server_id
+      WHERE pi.steam_id IN (${steamIds.map(() => '?').join(', ')})
+        AND s.join_time >= datetime('now', ?)
+      GROUP BY week, s.server_id
+      ORDER BY week ASC, playtime_seconds DESC
+    `, [...steamIds, `-${this.timelineWeeks * 7} days`]);
+
+    const weeks = new Map();
+    for (const row of rows) {
+      if (!weeks.has(row.week)) {
+        weeks.set(row.week, { week: row.week, top_server: row, servers: 0 });
+      }
+      weeks.get(row.week).servers++;
+    }
+
+    return Array.from(weeks.values());
+  }
+
+  // Servers frequented by more than one cluster
+  findSharedServers(clusters) {
+    const servers = new Map();
+    for (const cluster of clusters) {
+      for (const server of cluster.servers) {
+        if (!servers.has(server.server_id)) {
+          servers.set(server.server_id, { server_id: server.server_id, name: server.name, clusters: [] });
+        }
+        servers.get(server.server_id).clusters.push({ label: cluster.label, members_seen: server.members_seen });
+      }
+    }
+
+    return Array.from(servers.values())
+      .filter(server => server.clusters.length > 1)
+      .sort((a, b) => b.clusters.length - a.clusters.length);
+  }
+}
+
+module.exports = FriendClusterService;
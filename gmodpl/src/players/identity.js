@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const database = require('../database');
+
+class PlayerIdentityService {
+  constructor(options = {}) {
+    // Names too common to say anything about who is behind them
+    this.genericNames = new Set(options.genericNames || [
+      'player', 'unnamed', 'unconnected', 'darkrp player', 'gmod player', 'noname', 'nick', 'gracz'
+    ]);
+    this.minUniqueNameLength = 4;
+    this.matchThreshold = 2;
+
+    // Join times are back-dated from connect duration, so allow a small overlap
+    this.overlapTolerance = 5 * 60 * 1000; // 5 minutes
+    this.genericReconnectWindow = 15 * 60 * 1000; // 15 minutes
+
+    this.stats = {
+      identitiesCreated: 0,
+      identitiesMatched: 0,
+      steamLinks: 0
+    };
+  }
+
+  normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  isGenericName(nameKey) {
+    return this.genericNames.has(nameKey) || /^player\s*\(\d+\)$/.test(nameKey);
+  }
+
+  // Give every newly opened session a stable pseudonymous identity
+  async assignSessions(serverId, openedSessions, observedAt = Date.now()) {
+    for (const { sessionId, player } of openedSessions) {
+      try {
+        const joinedAt = observedAt - Math.max(0, Math.round(player.duration || 0)) * 1000;
+        const identityId = await this.resolveIdentity(serverId, player.name, joinedAt, sessionId);
+
+        await database.executeWithRetry(`
+          UPDATE sessions
+          SET identity_id = ?, player_id = (SELECT player_id FROM player_identities WHERE id = ?)
+          WHERE id = ?
+        `, [identityId, identityId, sessionId]);
+
+      } catch (error) {
+        console.error(`❌ Failed to assign identity for ${player.name} on server ${serverId}:`, error.message);
+      }
+    }
+  }
+
+  async resolveIdentity(serverId, name, joinedAt, sessionId) {
+    const nameKey = this.normalizeName(name);
+    const match = await this.findMatchingIdentity(serverId, nameKey, joinedAt, sessionId);
+
+    let identityId;
+    if (match) {
+      identityId = match.id;
+      this.stats.identitiesMatched++;
+    } else {
+      identityId = await this.createIdentity(joinedAt);
+      this.stats.identitiesCreated++;
+    }
+
+    await this.recordAlias(identityId, serverId, name, nameKey);
+    return identityId;
+  }
+
+  async findMatchingIdentity(serverId, nameKey, joinedAt, sessionId) {
+    const aliases = await database.all(`
+      SELECT identity_id, server_id, times_seen, last_seen
+      FROM player_aliases
+      WHERE name_key = ?
+    `, [nameKey]);
+
+    if (aliases.length === 0) {
+      return null;
+    }
+
+    const identities = new Map();
+    for (const alias of aliases) {
+      if (!identities.has(alias.identity_id)) {
+        identities.set(alias.identity_id, { id: alias.identity_id, sameServer: false, timesSeen: 0 });
+      }
+      const identity = identities.get(alias.identity_id);
+      identity.sameServer = identity.sameServer || alias.server_id === serverId;
+      identity.timesSeen += alias.times_seen;
+    }
+
+    const generic = this.isGenericName(nameKey) || nameKey.length < this.minUniqueNameLength;
+    const uniqueName = identities.size === 1 && !generic;
+
+    // Generic names only ever match a reconnect to the same server - drop the
+    // other candidates before looking up activity, "Player" can have hundreds
+    const candidates = Array.from(identities.values())
+      .filter(identity => !generic || identity.sameServer);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const activities = await this.getLastActivities(candidates.map(identity => identity.id), sessionId);
+
+    let best = null;
+    for (const identity of candidates) {
+      const activity = activities.get(identity.id) || { activeElsewhere: false, lastActivity: null };
+
+      // Someone can't be in two places at once
+      if (activity.activeElsewhere) {
+        continue;
+      }
+
+      const gap = activity.lastActivity === null ? Infinity : joinedAt - activity.lastActivity;
+      if (gap < -this.overlapTolerance) {
+        continue;
+      }
+
+      if (generic && gap > this.genericReconnectWindow) {
+        continue;
+      }
+
+      let score = 0;
+      if (uniqueName) score += 2;
+      if (identity.sameServer) score += 2;
+      if (gap <= 60 * 60 * 1000) score += 1;
+      score += Math.min(1, Math.log10(identity.timesSeen + 1) / 2);
+
+      if (score >= this.matchThreshold && (!best || score > best.score)) {
+        best = { id: identity.id, score };
+      }
+    }
+
+    return best;
+  }
+
+  // One query per chunk of identities instead of two per identity
+  async getLastActivities(identityIds, excludeSessionId) {
+    const activities = new Map();
+
+    for (let i = 0; i < identityIds.length; i += 500) {
+      const chunk = identityIds.slice(i, i + 500);
+      const rows = await database.all(`
+        SELECT identity_id,
+               COUNT(CASE WHEN is_active = 1 THEN 1 END) AS active_sessions,
+               MAX(COALESCE(leave_time, last_seen)) AS last_activity
+        FROM sessions
+        WHERE identity_id IN (${chunk.map(() => '?').join(', ')}) AND id != ?
+        GROUP BY identity_id
+      `, [...chunk, excludeSessionId]);
+
+      for (const row of rows) {
+        activities.set(row.identity_id, {
+          activeElsewhere: row.active_sessions > 0,
+          lastActivity: row.last_activity ? database.parseSqlTime(row.last_activity) : null
+        });
+      }
+    }
+
+    return activities;
+  }
+
+  async createIdentity(firstSeenAt) {
+    const pseudonym = `anon_${crypto.randomBytes(5).toString('hex')}`;
+    const result = await database.executeWithRetry(`
+      INSERT INTO player_identities (pseudonym, first_seen, last_seen)
+      VALUES (?, ?, ?)
+    `, [pseudonym, database.toSqlTime(firstSeenAt), database.toSqlTime(firstSeenAt)]);
+    return result.lastID;
+  }
+
+  async recordAlias(identityId, serverId, name, nameKey) {
+    await database.executeWithRetry(`
+      INSERT INTO player_aliases (identity_id, server_id, name, name_key)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(identity_id, server_id, name) DO UPDATE SET
+        times_seen = times_seen + 1,
+        last_seen = CURRENT_TIMESTAMP
+    `, [identityId, serverId, name, nameKey]);
+
+    await database.executeWithRetry(
+      'UPDATE player_identities SET last_seen = CURRENT_TIMESTAMP WHERE id = ?',
+      [identityId]
+    );
+  }
+
+  // Attach a SteamID learned elsewhere (profile link, admin report, manual import)
+  async linkSteamId(identityId, steamId, source = 'manual') {
+    const identity = await database.get('SELECT id FROM player_identities WHERE id = ?', [identityId]);
+    if (!identity) {
+      throw new Error(`Identity not found: ${identityId}`);
+    }
+
+    const player = await database.get('SELECT id FROM players WHERE steam_id = ?', [steamId]);
+    const playerId = player ? player.id : null;
+
+    await database.executeWithRetry(`
+      UPDATE player_identities
+      SET steam_id = ?, player_id = ?, link_source = ?, linked_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [steamId, playerId, source, identityId]);
+
+    await database.executeWithRetry('UPDATE sessions SET player_id = ? WHERE identity_id = ?', [playerId, identityId]);
+
+    this.stats.steamLinks++;
+    console.log(`🔗 Linked identity ${identityId} to Steam ID ${steamId} (${source})`);
+    return { identityId, steamId, playerId };
+  }
+
+  async unlinkSteamId(identityId) {
+    await database.executeWithRetry(`
+      UPDATE player_identities
+      SET steam_id = NULL, player_id = NULL, link_source = NULL, linked_at = NULL
+      WHERE id = ?
+    `, [identityId]);
+    await database.executeWithRetry('UPDATE sessions SET player_id = NULL WHERE identity_id = ?', [identityId]);
+  }
+
+  async searchIdentities(query = '', limit = 50) {
+    return await database.all(`
+      SELECT i.id, i.pseudonym, i.steam_id, i.first_seen, i.last_seen,
+             GROUP_CONCAT(DISTINCT a.name) AS names,
+             COUNT(DISTINCT a.server_id) AS server_count
+      FROM player_identities i
+      JOIN player_aliases a ON a.identity_id = i.id
+      WHERE a.name_key LIKE ? ESCAPE '\\' OR i.pseudonym = ? OR i.steam_id = ?
+      GROUP BY i.id
+      ORDER BY i.last_seen DESC
+      LIMIT ?
+    `, [`%${database.escapeLike(this.normalizeName(query))}%`, query, query, limit]);
+  }
+
+  // Aliases plus per-server activity for cross-server analysis
+  async getIdentity(identityId) {
+    const identity = await database.get('SELECT * FROM player_identities WHERE id = ?', [identityId]);
+    if (!identity) {
+      return null;
+    }
+
+    const aliases = await database.all(`
+      SELECT a.name, a.server_id, s.name AS server_name, a.times_seen, a.first_seen, a.last_seen
+      FROM player_aliases a
+      LEFT JOIN servers s ON s.id = a.server_id
+      WHERE a.identity_id = ?
+      ORDER BY a.last_seen DESC
+    `, [identityId]);
+
+    const servers = await database.all(`
+      SELECT se.server_id, s.name AS server_name, s.ip, s.port,
+             COUNT(*) AS sessions, SUM(se.duration_seconds) AS total_seconds,
+             MIN(se.join_time) AS first_join, MAX(COALESCE(se.leave_time, se.last_seen)) AS last_activity
+      FROM sessions se
+      LEFT JOIN servers s ON s.id = se.server_id
+      WHERE se.identity_id = ?
+      GROUP BY se.server_id
+      ORDER BY total_seconds DESC
+    `, [identityId]);
+
+    return { ...identity, aliases, servers };
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = PlayerIdentityService;
@@ -0,0 +1,119 @@
+const database = require('../database');
+
+class PlayerProfileService {
+  constructor(options = {}) {
+    // GMod hours separating fresh (often alt) accounts from veterans
+    this.tiers = options.tiers || [
+      { name: 'new', maxHours: 10 },
+      { name: 'casual', maxHours: 100 },
+      { name: 'regular', maxHours: 1000 },
+      { name: 'veteran', maxHours: Infinity }
+    ];
+  }
+
+  async getProfile(steamId) {
+    const player = await database.get('SELECT * FROM players WHERE steam_id = ?', [steamId]);
+    if (!player) {
+      return null;
+    }
+
+    const history = await database.all(`
+      SELECT gmod_playtime_minutes, gmod_playtime_2weeks, total_games, recorded_at
+      FROM player_playtime_history
+      WHERE player_id = ?
+      ORDER BY recorded_at ASC, id ASC
+    `, [player.id]);
+
+    const identities = await database.all(
+      'SELECT id, pseudonym, link_source, linked_at, last_seen FROM player_identities WHERE steam_id = ?',
+      [steamId]
+    );
+
+    return {
+      ...this.formatPlayer(player),
+      playtime_growth: this.calculateGrowth(history),
+      playtime_history: history,
+      identities
+    };
+  }
+
+  // ?owns_gmod=1&min_hours=100&sort=playtime
+  async listPlayers(options = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (options.ownsGmod !== undefined) {
+      conditions.push('owns_gmod = ?');
+      params.push(options.ownsGmod ? 1 : 0);
+    }
+    if (options.minHours !== undefined) {
+      conditions.push('gmod_playtime_minutes >= ?');
+      params.push(options.minHours * 60);
+    }
+    if (options.maxHours !== undefined) {
+      conditions.push('gmod_playtime_minutes <= ?');
+      params.push(options.maxHours * 60);
+    }
+
+    const orderBy = {
+      playtime: 'gmod_playtime_minutes DESC',
+      recent: 'gmod_playtime_2weeks DESC',
+      games: 'total_games DESC',
+      updated: 'last_updated DESC'
+    }[options.sort] || 'last_updated DESC';
+
+    params.push(options.limit || 50);
+
+    const players = await database.all(`
+      SELECT * FROM players
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${orderBy}
+      LIMIT ?
+    `, params);
+
+    return players.map(player => this.formatPlayer(player));
+  }
+
+  formatPlayer(player) {
+    const hours = player.gmod_playtime_minutes !== null ? Math.round(player.gmod_playtime_minutes / 6) / 10 : null;
+
+    return {
+      ...player,
+      owns_gmod: player.owns_gmod === null ? null : Boolean(player.owns_gmod),
+      gmod_hours: hours,
+      gmod_hours_2weeks: player.gmod_playtime_2weeks !== null ? Math.round(player.gmod_playtime_2weeks / 6) / 10 : null,
+      experience_tier: this.getTier(hours),
+      account_age_days: player.creation_date
+        ? Math.floor((Date.now() - new Date(player.creation_date).getTime()) / (24 * 60 * 60 * 1000))
+        : null
+    };
+  }
+
+  getTier(hours) {
+    if (hours === null) {
+      return null;
+    }
+    return this.tiers.find(tier => hours < tier.maxHours).name;
+  }
+
+  // Minutes gained between the first and last history rows, and per day
+  calculateGrowth(history) {
+    const samples = history.filter(row => row.gmod_playtime_minutes !== null);
+    if (samples.length < 2) {
+      return { minutes: 0, days: 0, minutes_per_day: null };
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const days = (database.parseSqlTime(last.recorded_at) - database.parseSqlTime(first.recorded_at)) / (24 * 60 * 60 * 1000);
+    const minutes = last.gmod_playtime_minutes - first.gmod_playtime_minutes;
+
+    return {
+      minutes,
+      days: Math.round(days * 10) / 10,
+      minutes_per_day: days > 0 ? Math.round(minutes / days) : null
+    };
+  }
+}
+
+module.exports = PlayerProfileService;
@@ -1,6 +1,83 @@
 const express = require('express');
 const router = express.Router();
 const database = require('../database');
+const ServerStatusTracker = require('../scanner/status');
+const LatencyAnalyzer = require('../scanner/latency');
+const PlayerIdentityService = require('../players/identity');
+const PlayerProfileService = require('../players/profile');
+const FriendClusterService = require('../players/clusters');
+const PlayerBanService = require('../players/bans');
+const HostingService = require('../geo/hosting');
+const CommunityService = require('../servers/communities');
+const ServerContinuityService = require('../servers/continuity');
+const ServerHistoryService = require('../servers/history');
+const MapAnalyticsService = require('../servers/maps');
+const SteamID = require('../steam/steamid');
+
+const statusTracker = new ServerStatusTracker();
+const latencyAnalyzer = new LatencyAnalyzer();
+const identityService = new PlayerIdentityService();
+const profileService = new PlayerProfileService();
+const clusterService = new FriendClusterService();
+const banService = new PlayerBanService();
+const hostingService = new HostingService();
+const communityService = new CommunityService();
+const continuityService = new ServerContinuityService();
+const historyService = new ServerHistoryService();
+const mapAnalytics = new MapAnalyticsService();
+
+// Any Steam ID format or a vanity name/link. Vanity names of players we already have
+// resolve locally; others go to ResolveVanityURL (cached) when a Steam client is given.
+async function resolveSteamId(input, steamClient) {
+  const steamId = SteamID.toSteamId64(input);
+  if (steamId) {
+    return steamId;
+  }
+  
+  const vanityName = SteamID.getVanityName(input);
+  if (!vanityName) {
+    return null;
+  }
+  
+  const player = await database.get(
+    "SELECT steam_id FROM players WHERE lower(profile_url) LIKE ? ESCAPE '\\'",
+    [`%/id/${database.escapeLike(vanityName.toLowerCase())}/%`]
+  );
+  if (player) {
+    return player.steam_id;
+  }
+  return steamClient ? await steamClient.resolveVanityURL(vanityName) : null;
+}
+
+// 404 for unknown communities/servers/candidates, 400 for rejected merge/split requests
+function requestErrorStatus(error) {
+  if (/^(Community|Server|Merge candidate) not found/.test(error.message)) {
+    return 404;
+  }
+  return error.message.startsWith('Invalid') ? 400 : 500;
+}
+
+// Numeric row ids (servers, identities, communities, merge candidates, alerts) - a
+// non-numeric id would reach the services as NaN
+router.param('id', (req, res, next, value) => {
+  if (!/^\d+$/.test(value)) {
+    return res.status(400).json({ error: `Invalid id: ${value}` });
+  }
+  next();
+});
+
+router.param('steamId', async (req, res, next, value) => {
+  try {
+    const steamId = await resolveSteamId(value, req.app.locals.steamService?.steamClient);
+    if (!steamId) {
+      return res.status(404).json({ error: 'Unknown Steam ID', input: value });
+    }
+    req.params.steamId = steamId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Dashboard HTML page
 router.get('/', async (req, res) => {
@@ -163,4 +240,613 @@ router.get('/api/polish-servers', async (req, res) => {
   }
 });
 
+// Server convars (A2S_RULES) with change history
+router.get('/api/servers/:id/rules', async (req, res) => {
+  try {
+    const serverId = parseInt(req.params.id);
+    const limit = parseInt(req.query.limit) || 100;
+    
+    const [rules, history] = await Promise.all([
+      database.getServerRules(serverId),
+      database.getServerRuleHistory(serverId, limit)
+    ]);
+    
+    res.json({
+      serverId,
+      rules,
+      history
+    });
+
+  } catch (error) {
+    console.error('❌ Server rules API error:', error);
+    res.status(500).json({ error: 'Failed to fetch server rules' });
+  }
+});
+
+// Name/tags/slots/version/password changes, status transitions and moves (?fields=name,max_players&include_maps=1)
+router.get('/api/servers/:id/timeline', async (req, res) => {
+  try {
+    const fields = req.query.fields ? String(req.query.fields).split(',').map(field => field.trim()) : [];
+    const unknown = fields.filter(field => !database.trackedServerFields.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown fields: ${unknown.join(', ')}` });
+    }
+    
+    res.json(await historyService.getTimeline(parseInt(req.params.id), {
+      days: Math.min(parseInt(req.query.days) || 90, 365),
+      fields,
+      includeMaps: req.query.include_maps === '1',
+      limit: Math.min(parseInt(req.query.limit) || 500, 2000)
+    }));
+
+  } catch (error) {
+    console.error('❌ Server timeline API error:', error);
+    res.status(requestErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Changes across all servers - ?field=name for rebrands, ?field=max_players for slot changes
+router.get('/api/server-changes', async (req, res) => {
+  try {
+    if (req.query.field && !database.trackedServerFields.includes(req.query.field)) {
+      return res.status(400).json({ error: `Unknown field: ${req.query.field}` });
+    }
+    
+    res.json(await historyService.getRecentChanges({
+      field: req.query.field,
+      days: Math.min(parseInt(req.query.days) || 30, 365),
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    }));
+
+  } catch (error) {
+    console.error('❌ Server changes API error:', error);
+    res.status(500).json({ error: 'Failed to fetch server changes' });
+  }
+});
+
+// Map rotation for one server: per-map time and players, transitions and recent map runs
+router.get('/api/servers/:id/maps', async (req, res) => {
+  try {
+    const serverId = parseInt(req.params.id);
+    const server = await database.get('SELECT id FROM servers WHERE id = ?', [serverId]);
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+    
+    res.json(await mapAnalytics.getServerMaps(serverId, {
+      days: Math.min(parseInt(req.query.days) || 7, 90),
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    }));
+
+  } catch (error) {
+    console.error('❌ Server maps API error:', error);
+    res.status(500).json({ error: 'Failed to fetch server maps' });
+  }
+});
+
+// Most played maps, Polish servers only unless ?all=1
+router.get('/api/maps/popular', async (req, res) => {
+  try {
+    res.json(await mapAnalytics.getPopularMaps({
+      days: Math.min(parseInt(req.query.days) || 7, 90),
+      limit: Math.min(parseInt(req.query.limit) || 20, 200),
+      polishOnly: req.query.all !== '1'
+    }));
+
+  } catch (error) {
+    console.error('❌ Popular maps API error:', error);
+    res.status(500).json({ error: 'Failed to fetch popular maps' });
+  }
+});
+
+// Map prefixes (rp_, ttt_, gm_, dr_...) with the gamemodes servers actually report on them
+router.get('/api/maps/prefixes', async (req, res) => {
+  try {
+    res.json(await mapAnalytics.getPrefixStats({
+      days: Math.min(parseInt(req.query.days) || 30, 90)
+    }));
+
+  } catch (error) {
+    console.error('❌ Map prefixes API error:', error);
+    res.status(500).json({ error: 'Failed to fetch map prefixes' });
+  }
+});
+
+// Refresh map_gamemode learned patterns now instead of waiting for the hourly ML run
+router.post('/api/maps/learn', async (req, res) => {
+  try {
+    res.json(await mapAnalytics.learnPatterns({
+      days: Math.min(parseInt(req.body.days) || 30, 90)
+    }));
+
+  } catch (error) {
+    console.error('❌ Map learning API error:', error);
+    res.status(500).json({ error: 'Failed to learn map patterns' });
+  }
+});
+
+// Online/offline history and uptime for one server
+router.get('/api/servers/:id/status', async (req, res) => {
+  try {
+    const status = await statusTracker.getServerStatus(parseInt(req.params.id), parseInt(req.query.events) || 50);
+    
+    if (!status) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+    
+    res.json(status);
+
+  } catch (error) {
+    console.error('❌ Server status API error:', error);
+    res.status(500).json({ error: 'Failed to fetch server status' });
+  }
+});
+
+// Uptime overview (24h / 7d / 30d) for the most recently seen servers
+router.get('/api/uptime', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    
+    const servers = await database.all(`
+      SELECT id, ip, port, name, is_active, consecutive_failures, last_seen, last_checked
+      FROM servers
+      ORDER BY last_seen DESC
+      LIMIT ?
+    `, [limit]);
+    
+    for (const server of servers) {
+      server.uptime = await statusTracker.getUptime(server.id);
+    }
+    
+    res.json(servers);
+
+  } catch (error) {
+    console.error('❌ Uptime API error:', error);
+    res.status(500).json({ error: 'Failed to fetch uptime' });
+  }
+});
+
+// Rolling latency stats (min, avg, p95, jitter) for one server
+router.get('/api/servers/:id/latency', async (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || 24;
+    res.json(await latencyAnalyzer.getServerLatency(parseInt(req.params.id), hours));
+
+  } catch (error) {
+    console.error('❌ Server latency API error:', error);
+    res.status(500).json({ error: 'Failed to fetch server latency' });
+  }
+});
+
+// Servers ranked by measured ping (Polish servers only unless ?all=1)
+router.get('/api/latency/ranking', async (req, res) => {
+  try {
+    const ranking = await latencyAnalyzer.getRanking({
+      windowHours: parseInt(req.query.hours) || 24,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      polishOnly: req.query.all !== '1'
+    });
+    
+    res.json(ranking);
+
+  } catch (error) {
+    console.error('❌ Latency ranking API error:', error);
+    res.status(500).json({ error: 'Failed to fetch latency ranking' });
+  }
+});
+
+// Player sessions on one server (?active=1 for players currently online)
+router.get('/api/servers/:id/sessions', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const activeOnly = req.query.active === '1';
+    
+    const sessions = await database.all(`
+      SELECT id, player_id, player_name, join_time, leave_time, last_seen, duration_seconds,
+             map_on_join, map_on_leave, events_count, is_active
+      FROM sessions
+      WHERE server_id = ? ${activeOnly ? 'AND is_active = 1' : ''}
+      ORDER BY join_time DESC
+      LIMIT ?
+    `, [parseInt(req.params.id), limit]);
+    
+    res.json(sessions);
+
+  } catch (error) {
+    console.error('❌ Server sessions API error:', error);
+    res.status(500).json({ error: 'Failed to fetch server sessions' });
+  }
+});
+
+// Pseudonymous player identities (search by name, pseudonym or linked Steam ID)
+router.get('/api/identities', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const q = req.query.q || '';
+    res.json(await identityService.searchIdentities(SteamID.toSteamId64(q) || q, limit));
+
+  } catch (error) {
+    console.error('❌ Identities API error:', error);
+    res.status(500).json({ error: 'Failed to fetch identities' });
+  }
+});
+
+// One identity with aliases and cross-server activity
+router.get('/api/identities/:id', async (req, res) => {
+  try {
+    const identity = await identityService.getIdentity(parseInt(req.params.id));
+    
+    if (!identity) {
+      return res.status(404).json({ error: 'Identity not found' });
+    }
+    
+    res.json(identity);
+
+  } catch (error) {
+    console.error('❌ Identity API error:', error);
+    res.status(500).json({ error: 'Failed to fetch identity' });
+  }
+});
+
+// Link an identity to a Steam ID known from another source: { "steam_id": "STEAM_0:1:123", "source": "manual" }
+router.post('/api/identities/:id/link', async (req, res) => {
+  try {
+    if (!req.body.steam_id) {
+      return res.status(400).json({ error: 'steam_id is required' });
+    }
+    
+    const steamId = await resolveSteamId(String(req.body.steam_id));
+    if (!steamId) {
+      return res.status(400).json({ error: 'steam_id is not a valid Steam ID' });
+    }
+    
+    const link = await identityService.linkSteamId(parseInt(req.params.id), steamId, req.body.source || 'manual');
+    res.json(link);
+
+  } catch (error) {
+    console.error('❌ Identity link API error:', error);
+    res.status(error.message.startsWith('Identity not found') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+router.delete('/api/identities/:id/link', async (req, res) => {
+  try {
+    await identityService.unlinkSteamId(parseInt(req.params.id));
+    res.json({ identityId: parseInt(req.params.id), linked: false });
+
+  } catch (error) {
+    console.error('❌ Identity unlink API error:', error);
+    res.status(500).json({ error: 'Failed to unlink identity' });
+  }
+});
+
+// Steam players with GMod ownership and playtime (?owns_gmod=1&min_hours=100&sort=playtime)
+router.get('/api/players', async (req, res) => {
+  try {
+    const parseHours = value => (value !== undefined && !isNaN(parseFloat(value)) ? parseFloat(value) : undefined);
+    
+    res.json(await profileService.listPlayers({
+      ownsGmod: req.query.owns_gmod !== undefined ? req.query.owns_gmod === '1' : undefined,
+      minHours: parseHours(req.query.min_hours),
+      maxHours: parseHours(req.query.max_hours),
+      sort: req.query.sort,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    }));
+
+  } catch (error) {
+    console.error('❌ Players API error:', error);
+    res.status(500).json({ error: 'Failed to fetch players' });
+  }
+});
+
+// One player profile with playtime history and linked identities
+router.get('/api/players/:steamId', async (req, res) => {
+  try {
+    const profile = await profileService.getProfile(req.params.steamId);
+    
+    if (!profile) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+    
+    res.json(profile);
+
+  } catch (error) {
+    console.error('❌ Player profile API error:', error);
+    res.status(500).json({ error: 'Failed to fetch player profile' });
+  }
+});
+
+// Steam friends of a player, tracked ones with their profile data
+router.get('/api/players/:steamId/friends', async (req, res) => {
+  try {
+    const friendIds = await database.getFriendIds(req.params.steamId);
+    const tracked = friendIds.length > 0 ? await database.all(`
+      SELECT steam_id, username, country, gmod_playtime_minutes FROM players
+      WHERE steam_id IN (${friendIds.map(() => '?').join(', ')})
+    `, friendIds) : [];
+    
+    res.json({
+      steam_id: req.params.steamId,
+      friends: friendIds.length,
+      tracked
+    });
+
+  } catch (error) {
+    console.error('❌ Player friends API error:', error);
+    res.status(500).json({ error: 'Failed to fetch player friends' });
+  }
+});
+
+// Friend-graph communities (label propagation) and the servers they frequent (?all=1 includes non-Polish players)
+router.get('/api/friend-clusters', async (req, res) => {
+  try {
+    res.json(await clusterService.detectClusters({
+      polishOnly: req.query.all !== '1',
+      minSize: parseInt(req.query.min_size) || undefined
+    }));
+
+  } catch (error) {
+    console.error('❌ Friend clusters API error:', error);
+    res.status(500).json({ error: 'Failed to detect friend clusters' });
+  }
+});
+
+// Banned Steam accounts seen per server in the last ?days=7
+router.get('/api/bans/servers', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    res.json(await banService.getServerBanStats(days));
+
+  } catch (error) {
+    console.error('❌ Server ban stats API error:', error);
+    res.status(500).json({ error: 'Failed to fetch server ban stats' });
+  }
+});
+
+router.get('/api/servers/:id/bans', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    res.json(await banService.getServerBannedPlayers(parseInt(req.params.id), days));
+
+  } catch (error) {
+    console.error('❌ Server banned players API error:', error);
+    res.status(500).json({ error: 'Failed to fetch banned players' });
+  }
+});
+
+// New bans on tracked players (?all=1 includes acknowledged ones)
+router.get('/api/bans/alerts', async (req, res) => {
+  try {
+    res.json(await banService.getAlerts({
+      includeAcknowledged: req.query.all === '1',
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    }));
+
+  } catch (error) {
+    console.error('❌ Ban alerts API error:', error);
+    res.status(500).json({ error: 'Failed to fetch ban alerts' });
+  }
+});
+
+router.post('/api/bans/alerts/:id/ack', async (req, res) => {
+  try {
+    const acknowledged = await banService.acknowledgeAlert(parseInt(req.params.id));
+    
+    if (!acknowledged) {
+      return res.status(404).json({ error: 'Unacknowledged alert not found' });
+    }
+    
+    res.json({ id: parseInt(req.params.id), acknowledged: true });
+
+  } catch (error) {
+    console.error('❌ Ban alert ack API error:', error);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+router.get('/api/players/:steamId/bans', async (req, res) => {
+  try {
+    res.json(await banService.getPlayerBanHistory(req.params.steamId));
+
+  } catch (error) {
+    console.error('❌ Player ban history API error:', error);
+    res.status(500).json({ error: 'Failed to fetch ban history' });
+  }
+});
+
+// Servers grouped by hosting provider
+router.get('/api/hosting', async (req, res) => {
+  try {
+    res.json(await hostingService.getProviders());
+
+  } catch (error) {
+    console.error('❌ Hosting API error:', error);
+    res.status(500).json({ error: 'Failed to fetch hosting providers' });
+  }
+});
+
+router.get('/api/hosting/shared-ips', async (req, res) => {
+  try {
+    const minServers = Math.max(parseInt(req.query.min_servers) || 2, 2);
+    res.json(await hostingService.getSharedIps({ minServers }));
+
+  } catch (error) {
+    console.error('❌ Shared IPs API error:', error);
+    res.status(500).json({ error: 'Failed to fetch shared IPs' });
+  }
+});
+
+router.post('/api/hosting/reclassify', async (req, res) => {
+  try {
+    res.json(await hostingService.reclassifyServers());
+
+  } catch (error) {
+    console.error('❌ Hosting reclassify API error:', error);
+    res.status(500).json({ error: 'Failed to reclassify servers' });
+  }
+});
+
+router.get('/api/hosting/:provider', async (req, res) => {
+  try {
+    const servers = await hostingService.getProviderServers(req.params.provider);
+    
+    if (servers.length === 0) {
+      return res.status(404).json({ error: 'Hosting provider not found' });
+    }
+    
+    res.json({ hosting_provider: req.params.provider, servers });
+
+  } catch (error) {
+    console.error('❌ Hosting provider API error:', error);
+    res.status(500).json({ error: 'Failed to fetch hosting provider' });
+  }
+});
+
+// Communities ranked by average players (?days=7&min_servers=2)
+router.get('/api/communities', async (req, res) => {
+  try {
+    res.json(await communityService.listCommunities({
+      days: Math.min(parseInt(req.query.days) || 7, 90),
+      minServers: parseInt(req.query.min_servers) || undefined
+    }));
+
+  } catch (error) {
+    console.error('❌ Communities API error:', error);
+    res.status(500).json({ error: 'Failed to fetch communities' });
+  }
+});
+
+router.post('/api/communities/regroup', async (req, res) => {
+  try {
+    res.json(await communityService.regroup());
+
+  } catch (error) {
+    console.error('❌ Community regroup API error:', error);
+    res.status(500).json({ error: 'Failed to regroup communities' });
+  }
+});
+
+router.post('/api/communities/merge', async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.community_ids)) {
+      return res.status(400).json({ error: 'community_ids array is required' });
+    }
+    
+    res.json(await communityService.merge(req.body.community_ids, req.body.name || null));
+
+  } catch (error) {
+    console.error('❌ Community merge API error:', error);
+    res.status(requestErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+router.get('/api/communities/:id', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    res.json(await communityService.getCommunity(parseInt(req.params.id), { days }));
+
+  } catch (error) {
+    console.error('❌ Community API error:', error);
+    res.status(requestErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+router.patch('/api/communities/:id', async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    
+    res.json(await communityService.rename(parseInt(req.params.id), String(req.body.name)));
+
+  } catch (error) {
+    console.error('❌ Community rename API error:', error);
+    res.status(requestErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+router.post('/api/communities/:id/split', async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.server_ids)) {
+      return res.status(400).json({ error: 'server_ids array is required' });
+    }
+    
+    res.json(await communityService.split(parseInt(req.params.id), req.body.server_ids, req.body.name || null));
+
+  } catch (error) {
+    console.error('❌ Community split API error:', error);
+    res.status(requestErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Server identity continuity - proposed/applied/rejected merges of moved servers
+router.get('/api/server-merges', async (req, res) => {
+  try {
+    res.json(await continuityService.listCandidates({
+      status: req.query.status || 'proposed',
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    }));
+
+  } catch (error) {
+    console.error('❌ Server merges API error:', error);
+    res.status(500).json({ error: 'Failed to fetch server merges' });
+  }
+});
+
+router.post('/api/server-merges/detect', async (req, res) => {
+  try {
+    res.json(await continuityService.detect({ autoApply: req.body.auto_apply !== false }));
+
+  } catch (error) {
+    console.error('❌ Server merge detection API error:', error);
+    res.status(500).json({ error: 'Failed to detect server merges' });
+  }
+});
+
+router.post('/api/server-merges', async (req, res) => {
+  try {
+    const oldServerId = parseInt(req.body.old_server_id);
+    const newServerId = parseInt(req.body.new_server_id);
+    if (!oldServerId || !newServerId) {
+      return res.status(400).json({ error: 'old_server_id and new_server_id are required' });
+    }
+    
+    res.json(await continuityService.mergeManually(oldServerId, newServerId));
+
+  } catch (error) {
+    console.error('❌ Server merge API error:', error);
+    res.status(requestErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+router.post('/api/server-merges/:id/apply', async (req, res) => {
+  try {
+    res.json(await continuityService.applyCandidate(parseInt(req.params.id)));
+
+  } catch (error) {
+    console.error('❌ Server merge apply API error:', error);
+    res.status(requestErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+router.post('/api/server-merges/:id/reject', async (req, res) => {
+  try {
+    res.json(await continuityService.rejectCandidate(parseInt(req.params.id)));
+
+  } catch (error) {
+    console.error('❌ Server merge reject API error:', error);
+    res.status(requestErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+router.get('/api/servers/:id/aliases', async (req, res) => {
+  try {
+    res.json(await continuityService.getAliases(parseInt(req.params.id)));
+
+  } catch (error) {
+    console.error('❌ Server aliases API error:', error);
+    res.status(500).json({ error: 'Failed to fetch server aliases' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
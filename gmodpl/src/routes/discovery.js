@@ -0,0 +1,76 @@
+const express = require('express');
+
+// Discovery provider management - needs the running scanner instance
+function createDiscoveryRoutes(scanner) {
+  const router = express.Router();
+
+  // Per-provider yield, run time and error stats
+  router.get('/providers', (req, res) => {
+    res.json({
+      providers: scanner.discovery.getStats(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Enable or disable a provider: { "enabled": false }
+  router.patch('/providers/:name', (req, res) => {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Body must contain boolean "enabled"' });
+    }
+
+    try {
+      const provider = scanner.discovery.setEnabled(req.params.name, req.body.enabled);
+      res.json(provider.getStats());
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // Manually added servers
+  router.get('/manual', async (req, res) => {
+    try {
+      const manual = scanner.discovery.get('manual');
+      res.json(await manual.discover());
+    } catch (error) {
+      console.error('❌ Manual servers API error:', error);
+      res.status(500).json({ error: 'Failed to fetch manual servers' });
+    }
+  });
+
+  router.post('/manual', async (req, res) => {
+    const address = scanner.discovery.normalizeAddress(req.body.address || '');
+    if (!address) {
+      return res.status(400).json({ error: 'Invalid server address, expected ip:port' });
+    }
+
+    try {
+      await scanner.discovery.get('manual').add(address, req.body.note || '');
+      res.status(201).json({ address });
+    } catch (error) {
+      console.error('❌ Add manual server API error:', error);
+      res.status(500).json({ error: 'Failed to add manual server' });
+    }
+  });
+
+  router.delete('/manual/:address', async (req, res) => {
+    const address = scanner.discovery.normalizeAddress(req.params.address);
+    if (!address) {
+      return res.status(400).json({ error: 'Invalid server address, expected ip:port' });
+    }
+
+    try {
+      const removed = await scanner.discovery.get('manual').remove(address);
+      if (!removed) {
+        return res.status(404).json({ error: 'Manual server not found' });
+      }
+      res.json({ address, removed: true });
+    } catch (error) {
+      console.error('❌ Remove manual server API error:', error);
+      res.status(500).json({ error: 'Failed to remove manual server' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDiscoveryRoutes;
@@ -0,0 +1,147 @@
+const express = require('express');
+const SteamID = require('../steam/steamid');
+
+const queueStatuses = ['pending', 'processing', 'dead'];
+
+// Array of IDs (bare vanity names allowed) or free text, where only SteamIDs and
+// profile links count - a stray word must not turn into a vanity lookup
+function parseSteamIdInput(body) {
+  if (Array.isArray(body.steam_ids)) {
+    return body.steam_ids.map(value => String(value).trim()).filter(Boolean);
+  }
+
+  return String(body.text || '')
+    .split(/[\s,;]+/)
+    .filter(token => SteamID.toSteamId64(token) || /steamcommunity\.com\/id\//i.test(token));
+}
+
+// Steam profile queue - needs the running SteamDataService instance
+function createSteamRoutes(steamService) {
+  const router = express.Router();
+
+  // Queue size and processing progress
+  router.get('/queue', async (req, res) => {
+    try {
+      res.json({
+        queue: await steamService.getQueueStats(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Steam queue stats API error:', error);
+      res.status(500).json({ error: 'Failed to fetch Steam queue stats' });
+    }
+  });
+
+  // Queue items, optionally filtered: ?status=pending|processing|dead&limit=100
+  router.get('/queue/items', async (req, res) => {
+    const status = req.query.status;
+    if (status && !queueStatuses.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${queueStatuses.join(', ')}` });
+    }
+
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      res.json(await steamService.queue.list({ status, limit }));
+    } catch (error) {
+      console.error('❌ Steam queue items API error:', error);
+      res.status(500).json({ error: 'Failed to fetch Steam queue items' });
+    }
+  });
+
+  // Reset attempts and retry now: { "steam_ids": [...] } or { "status": "dead" }
+  router.post('/queue/requeue', async (req, res) => {
+    const status = req.body.status || 'dead';
+    if (!queueStatuses.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${queueStatuses.join(', ')}` });
+    }
+
+    try {
+      const { resolved, unresolved } = await steamService.resolveSteamIds(parseSteamIdInput(req.body));
+      if (resolved.length === 0 && unresolved.length > 0) {
+        return res.status(400).json({ error: 'No valid Steam IDs in request', unresolved });
+      }
+
+      const requeued = await steamService.requeue({ steamIds: resolved, status });
+      res.json({ requeued, unresolved });
+    } catch (error) {
+      console.error('❌ Steam requeue API error:', error);
+      res.status(500).json({ error: 'Failed to requeue Steam IDs' });
+    }
+  });
+
+  // Drop items: ?status=dead (default), pending or all
+  router.delete('/queue', async (req, res) => {
+    const status = req.query.status || 'dead';
+    if (status !== 'all' && !queueStatuses.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${queueStatuses.join(', ')}, all` });
+    }
+
+    try {
+      const purged = await steamService.purgeQueue(status);
+      res.json({ status, purged });
+    } catch (error) {
+      console.error('❌ Steam queue purge API error:', error);
+      res.status(500).json({ error: 'Failed to purge Steam queue' });
+    }
+  });
+
+  // Import Steam IDs in any format (SteamID64, STEAM_0:1:x, [U:1:x], profile links, vanity names):
+  // { "steam_ids": [...] } or { "text": "<one per line or comma separated>" }
+  router.post('/queue', async (req, res) => {
+    const inputs = parseSteamIdInput(req.body);
+    if (inputs.length === 0) {
+      return res.status(400).json({ error: 'Body must contain steam_ids or text' });
+    }
+
+    try {
+      const { resolved, unresolved } = await steamService.resolveSteamIds(inputs);
+      if (resolved.length === 0) {
+        return res.status(400).json({ error: 'No valid Steam IDs in request', unresolved });
+      }
+
+      const queued = await steamService.processNewPlayers(resolved, 'import');
+      res.status(202).json({
+        found: resolved.length,
+        queued,
+        skipped: resolved.length - queued,
+        unresolved
+      });
+    } catch (error) {
+      console.error('❌ Steam import API error:', error);
+      res.status(500).json({ error: 'Failed to queue Steam IDs' });
+    }
+  });
+
+  // Hit/miss counters per endpoint and what is stored on disk
+  router.get('/cache', async (req, res) => {
+    try {
+      res.json({
+        stats: steamService.steamClient.cache.getStats(),
+        disk: await steamService.steamClient.cache.getDiskStats(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Steam cache stats API error:', error);
+      res.status(500).json({ error: 'Failed to fetch Steam cache stats' });
+    }
+  });
+
+  // Every format of one Steam ID: /resolve/STEAM_0:1:123 or /resolve/gaben
+  router.get('/resolve/:input', async (req, res) => {
+    try {
+      const steamId = await steamService.resolveSteamId(req.params.input);
+      if (!steamId) {
+        return res.status(404).json({ error: 'Could not resolve Steam ID', input: req.params.input });
+      }
+
+      res.json({ input: req.params.input, ...SteamID.getFormats(steamId) });
+    } catch (error) {
+      console.error('❌ Steam ID resolve API error:', error);
+      res.status(500).json({ error: 'Failed to resolve Steam ID' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSteamRoutes;
@@ -0,0 +1,199 @@
+const dgram = require('dgram');
+const SplitPacketAssembler = require('./packets');
+
+class SourceQueryClient {
+  constructor(options = {}) {
+    this.queryTimeout = options.queryTimeout || 5000; // 5 seconds
+
+    // Challenge tokens are reused until the server rejects them or they expire
+    this.challengeTTL = options.challengeTTL || 10 * 60 * 1000; // 10 minutes
+    this.maxChallengeAttempts = 3;
+    this.challengeCache = new Map();
+
+    // Query protocol constants
+    this.HEADER = Buffer.from([0xFF, 0xFF, 0xFF, 0xFF]);
+    this.NO_CHALLENGE = Buffer.from([0xFF, 0xFF, 0xFF, 0xFF]);
+    this.S2C_CHALLENGE = 0x41;
+
+    this.requestTypes = {
+      info: { request: 0x54, response: 0x49, payload: Buffer.from('Source Engine Query\0', 'latin1') },
+      player: { request: 0x55, response: 0x44, payload: null },
+      rules: { request: 0x56, response: 0x45, payload: null }
+    };
+
+    this.stats = {
+      challengesReceived: 0,
+      challengeCacheHits: 0,
+      splitResponses: 0,
+      splitFragments: 0
+    };
+  }
+
+  async query(ip, port, type) {
+    const { response } = await this.queryTimed(ip, port, type);
+    return response;
+  }
+
+  // Resolves { response, latency } where latency is the round trip of the final
+  // request in milliseconds - challenge round trips are not counted
+  async queryTimed(ip, port, type) {
+    const requestType = this.requestTypes[type];
+    if (!requestType) {
+      throw new Error(`Unknown query type: ${type}`);
+    }
+
+    const address = `${ip}:${port}`;
+    const socket = dgram.createSocket('udp4');
+
+    try {
+      let challenge = this.getCachedChallenge(address);
+      if (challenge) {
+        this.stats.challengeCacheHits++;
+      }
+
+      for (let attempt = 1; attempt <= this.maxChallengeAttempts; attempt++) {
+        const packet = this.buildRequest(requestType, challenge);
+        const { response, latency } = await this.exchange(socket, packet, ip, port);
+        const responseType = response[4];
+
+        if (responseType === this.S2C_CHALLENGE) {
+          // Server wants the request repeated with its token
+          challenge = response.slice(5, 9);
+          this.setCachedChallenge(address, challenge);
+          this.stats.challengesReceived++;
+          continue;
+        }
+
+        if (responseType !== requestType.response) {
+          throw new Error(`Unexpected response type 0x${responseType.toString(16)} for ${type} query`);
+        }
+
+        return { response, latency };
+      }
+
+      this.challengeCache.delete(address);
+      throw new Error(`Server kept answering with challenges after ${this.maxChallengeAttempts} attempts`);
+
+    } finally {
+      socket.close();
+    }
+  }
+
+  buildRequest(requestType, challenge) {
+    const parts = [this.HEADER, Buffer.from([requestType.request])];
+
+    if (requestType.payload) {
+      // A2S_INFO only carries the challenge once the server has asked for it
+      parts.push(requestType.payload);
+      if (challenge) {
+        parts.push(challenge);
+      }
+    } else {
+      parts.push(challenge || this.NO_CHALLENGE);
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  exchange(socket, packet, ip, port) {
+    return new Promise((resolve, reject) => {
+      // Large replies (busy servers, rules) arrive as several 0xFFFFFFFE fragments
+      const assembler = new SplitPacketAssembler();
+      let sentAt = null;
+      let firstReplyAt = null;
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        socket.removeListener('message', onMessage);
+        socket.removeListener('error', onError);
+      };
+
+      const onMessage = (msg) => {
+        // Split replies: the first fragment marks the round trip
+        if (firstReplyAt === null) {
+          firstReplyAt = process.hrtime.bigint();
+        }
+
+        let response;
+        try {
+          response = assembler.add(msg);
+        } catch (error) {
+          cleanup();
+          reject(error);
+          return;
+        }
+
+        // Still waiting for the remaining fragments
+        if (!response) {
+          this.stats.splitFragments++;
+          return;
+        }
+
+        cleanup();
+
+        if (response.length < 5) {
+          reject(new Error('Response too short'));
+          return;
+        }
+
+        if (response !== msg) {
+          this.stats.splitResponses++;
+        }
+
+        const latency = Number(firstReplyAt - sentAt) / 1e6;
+        resolve({ response, latency });
+      };
+
+      const onError = (err) => {
+        cleanup();
+        reject(err);
+      };
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error('Query timeout'));
+      }, this.queryTimeout);
+
+      socket.on('message', onMessage);
+      socket.on('error', onError);
+
+      sentAt = process.hrtime.bigint();
+      socket.send(packet, port, ip, (err) => {
+        if (err) {
+          cleanup();
+          reject(err);
+        }
+      });
+    });
+  }
+
+  getCachedChallenge(address) {
+    const entry = this.challengeCache.get(address);
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this.challengeCache.delete(address);
+      return null;
+    }
+
+    return entry.challenge;
+  }
+
+  setCachedChallenge(address, challenge) {
+    this.challengeCache.set(address, {
+      challenge,
+      expiresAt: Date.now() + this.challengeTTL
+    });
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cachedChallenges: this.challengeCache.size
+    };
+  }
+}
+
+module.exports = SourceQueryClient;
@@ -0,0 +1,33 @@
+// Master server filter syntax, shared by the UDP master server and the Steam Web API
+
+// Accepts a raw filter string or an object such as
+// { gamedir: 'garrysmod', empty: true, gametype: ['darkrp'], name_match: '*PL*' }
+function buildFilter(filters) {
+  if (typeof filters === 'string') {
+    return filters;
+  }
+
+  let filter = '';
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === undefined || value === null || value === false) {
+      continue;
+    }
+
+    if (key === 'nor' || key === 'nand') {
+      // Nested conditions: \nor\<count>\<conditions>
+      const nested = buildFilter(value);
+      const count = nested.split('\\').filter(Boolean).length / 2;
+      filter += `\\${key}\\${count}${nested}`;
+    } else if (Array.isArray(value)) {
+      filter += `\\${key}\\${value.join(',')}`;
+    } else if (value === true) {
+      filter += `\\${key}\\1`;
+    } else {
+      filter += `\\${key}\\${value}`;
+    }
+  }
+
+  return filter;
+}
+
+module.exports = { buildFilter };
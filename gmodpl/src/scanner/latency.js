@@ -0,0 +1,87 @@
+const database = require('../database');
+
+class LatencyAnalyzer {
+  constructor(options = {}) {
+    this.defaultWindowHours = options.windowHours || 24;
+    this.minSamples = options.minSamples || 3; // Below this a server is left out of rankings
+  }
+
+  async getServerLatency(serverId, windowHours = this.defaultWindowHours) {
+    const rows = await database.all(`
+      SELECT ping_ms FROM server_snapshots
+      WHERE server_id = ? AND ping_ms IS NOT NULL
+        AND snapshot_time >= datetime('now', ?)
+      ORDER BY snapshot_time ASC
+    `, [serverId, `-${windowHours} hours`]);
+
+    return {
+      server_id: serverId,
+      window_hours: windowHours,
+      ...this.calculateStats(rows.map(row => row.ping_ms))
+    };
+  }
+
+  // Servers ordered by real ping from our vantage point (lowest p95 first)
+  async getRanking(options = {}) {
+    const windowHours = options.windowHours || this.defaultWindowHours;
+    const limit = options.limit || 50;
+    const polishOnly = options.polishOnly !== undefined ? options.polishOnly : true;
+
+    const rows = await database.all(`
+      SELECT ss.server_id, ss.ping_ms, s.ip, s.port, s.name
+      FROM server_snapshots ss
+      JOIN servers s ON s.id = ss.server_id
+      WHERE ss.ping_ms IS NOT NULL
+        AND ss.snapshot_time >= datetime('now', ?)
+        ${polishOnly ? 'AND ss.is_polish_server = 1' : ''}
+      ORDER BY ss.server_id, ss.snapshot_time ASC
+    `, [`-${windowHours} hours`]);
+
+    const servers = new Map();
+    for (const row of rows) {
+      if (!servers.has(row.server_id)) {
+        servers.set(row.server_id, { server_id: row.server_id, ip: row.ip, port: row.port, name: row.name, samples: [] });
+      }
+      servers.get(row.server_id).samples.push(row.ping_ms);
+    }
+
+    return Array.from(servers.values())
+      .filter(server => server.samples.length >= this.minSamples)
+      .map(({ samples, ...server }) => ({ ...server, ...this.calculateStats(samples) }))
+      .sort((a, b) => a.p95 - b.p95 || a.avg - b.avg)
+      .slice(0, limit);
+  }
+
+  calculateStats(samples) {
+    if (samples.length === 0) {
+      return { samples: 0, min: null, avg: null, p95: null, max: null, jitter: null };
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const sum = samples.reduce((total, value) => total + value, 0);
+
+    // Jitter: mean absolute difference between consecutive samples
+    let jitter = 0;
+    for (let i = 1; i < samples.length; i++) {
+      jitter += Math.abs(samples[i] - samples[i - 1]);
+    }
+    jitter = samples.length > 1 ? jitter / (samples.length - 1) : 0;
+
+    return {
+      samples: samples.length,
+      min: sorted[0],
+      avg: Math.round(sum / samples.length * 10) / 10,
+      p95: this.percentile(sorted, 95),
+      max: sorted[sorted.length - 1],
+      jitter: Math.round(jitter * 10) / 10
+    };
+  }
+
+  // Nearest-rank percentile on an ascending array
+  percentile(sorted, p) {
+    const rank = Math.ceil(p / 100 * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+  }
+}
+
+module.exports = LatencyAnalyzer;
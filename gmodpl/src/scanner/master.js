@@ -0,0 +1,207 @@
+const dgram = require('dgram');
+const { buildFilter } = require('./filters');
+
+class MasterServerClient {
+  constructor(options = {}) {
+    this.host = options.host || 'hl2master.steampowered.com';
+    this.port = options.port || 27011;
+    this.requestTimeout = options.requestTimeout || 5000; // 5 seconds per page
+    this.maxRetries = options.maxRetries || 3;
+    this.maxPages = options.maxPages || 500;
+
+    // Valve throttles clients that page too fast, so keep a gap between requests
+    this.minRequestInterval = options.minRequestInterval !== undefined ? options.minRequestInterval : 1500;
+    this.lastRequestAt = 0;
+
+    // Protocol constants
+    this.QUERY_TYPE = 0x31;
+    this.RESPONSE_HEADER = Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0x66, 0x0A]);
+    this.TERMINATOR = '0.0.0.0:0';
+
+    this.regions = {
+      us_east: 0x00,
+      us_west: 0x01,
+      south_america: 0x02,
+      europe: 0x03,
+      asia: 0x04,
+      australia: 0x05,
+      middle_east: 0x06,
+      africa: 0x07,
+      all: 0xFF
+    };
+
+    this.stats = {
+      requests: 0,
+      timeouts: 0,
+      pages: 0,
+      lastDiscovered: 0,
+      lastDuration: 0,
+      lastCompleted: false
+    };
+  }
+
+  async discover(options = {}) {
+    const region = this.resolveRegion(options.region);
+    const filter = buildFilter(options.filters || { gamedir: 'garrysmod' });
+    const maxServers = options.maxServers || Infinity;
+    const startTime = Date.now();
+
+    console.log(`🎮 Querying master server ${this.host}:${this.port} (region 0x${region.toString(16)}, filter ${filter})`);
+
+    const servers = [];
+    const seen = new Set();
+    const socket = dgram.createSocket('udp4');
+    let seed = this.TERMINATOR;
+    let completed = false;
+
+    try {
+      for (let page = 0; page < this.maxPages; page++) {
+        const addresses = await this.requestPageWithRetry(socket, region, seed, filter);
+        this.stats.pages++;
+
+        for (const address of addresses) {
+          if (address === this.TERMINATOR) {
+            completed = true;
+            break;
+          }
+          if (!seen.has(address)) {
+            seen.add(address);
+            servers.push(address);
+          }
+        }
+
+        if (completed || addresses.length === 0 || servers.length >= maxServers) {
+          break;
+        }
+
+        // Next page starts after the last address of this one
+        const nextSeed = addresses[addresses.length - 1];
+        if (nextSeed === seed) {
+          break;
+        }
+        seed = nextSeed;
+      }
+    } catch (error) {
+      // Keep whatever was collected before the master stopped answering
+      console.error(`⚠️ Master server query stopped early: ${error.message}`);
+    } finally {
+      socket.close();
+    }
+
+    this.stats.lastDiscovered = servers.length;
+    this.stats.lastDuration = Date.now() - startTime;
+    this.stats.lastCompleted = completed;
+
+    console.log(`✅ Master server: ${servers.length} servers discovered${completed ? '' : ' (list incomplete)'}`);
+    return servers.slice(0, maxServers);
+  }
+
+  async requestPageWithRetry(socket, region, seed, filter) {
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        await this.throttle();
+        return await this.requestPage(socket, region, seed, filter);
+      } catch (error) {
+        console.error(`❌ Master server request failed (attempt ${attempt}/${this.maxRetries}):`, error.message);
+
+        if (attempt === this.maxRetries) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async throttle() {
+    const wait = this.lastRequestAt + this.minRequestInterval - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    this.lastRequestAt = Date.now();
+  }
+
+  requestPage(socket, region, seed, filter) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeout);
+        socket.removeListener('message', onMessage);
+        socket.removeListener('error', onError);
+      };
+
+      const onMessage = (msg) => {
+        cleanup();
+        try {
+          resolve(this.parseResponse(msg));
+        } catch (parseError) {
+          reject(parseError);
+        }
+      };
+
+      const onError = (err) => {
+        cleanup();
+        reject(err);
+      };
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        this.stats.timeouts++;
+        reject(new Error('Master server timeout'));
+      }, this.requestTimeout);
+
+      socket.on('message', onMessage);
+      socket.on('error', onError);
+
+      this.stats.requests++;
+      socket.send(this.buildRequest(region, seed, filter), this.port, this.host, (err) => {
+        if (err) {
+          cleanup();
+          reject(err);
+        }
+      });
+    });
+  }
+
+  buildRequest(region, seed, filter) {
+    return Buffer.concat([
+      Buffer.from([this.QUERY_TYPE, region]),
+      Buffer.from(`${seed}\0`, 'latin1'),
+      Buffer.from(`${filter}\0`, 'latin1')
+    ]);
+  }
+
+  parseResponse(buffer) {
+    if (buffer.length < this.RESPONSE_HEADER.length ||
+        !buffer.slice(0, this.RESPONSE_HEADER.length).equals(this.RESPONSE_HEADER)) {
+      throw new Error('Invalid master server response header');
+    }
+
+    const addresses = [];
+    for (let offset = this.RESPONSE_HEADER.length; offset + 6 <= buffer.length; offset += 6) {
+      const ip = `${buffer[offset]}.${buffer[offset + 1]}.${buffer[offset + 2]}.${buffer[offset + 3]}`;
+      const port = buffer.readUInt16BE(offset + 4);
+      addresses.push(`${ip}:${port}`);
+    }
+
+    return addresses;
+  }
+
+  resolveRegion(region) {
+    if (region === undefined || region === null) {
+      return this.regions.all;
+    }
+    if (typeof region === 'number') {
+      return region;
+    }
+
+    const code = this.regions[String(region).toLowerCase()];
+    if (code === undefined) {
+      throw new Error(`Unknown master server region: ${region}`);
+    }
+    return code;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = MasterServerClient;
@@ -0,0 +1,148 @@
+const Bunzip = require('seek-bzip');
+
+class SplitPacketAssembler {
+  constructor() {
+    this.SINGLE_HEADER = -1; // 0xFFFFFFFF
+    this.SPLIT_HEADER = -2; // 0xFFFFFFFE
+    this.COMPRESSED_FLAG = 0x80000000;
+
+    // Split responses currently being collected, keyed by packet ID
+    this.pending = new Map();
+  }
+
+  isSplit(buffer) {
+    return buffer.length >= 4 && buffer.readInt32LE(0) === this.SPLIT_HEADER;
+  }
+
+  // Returns the complete single-packet response once every fragment arrived, otherwise null
+  add(buffer) {
+    if (!this.isSplit(buffer)) {
+      return buffer;
+    }
+
+    if (buffer.length < 10) {
+      throw new Error('Split packet too short');
+    }
+
+    const rawId = buffer.readUInt32LE(4);
+    const id = rawId & ~this.COMPRESSED_FLAG;
+    const total = buffer[8];
+    const number = buffer[9];
+
+    if (total === 0 || number >= total) {
+      throw new Error(`Invalid split packet numbering ${number}/${total}`);
+    }
+
+    let entry = this.pending.get(id);
+    if (!entry) {
+      entry = {
+        total,
+        compressed: (rawId & this.COMPRESSED_FLAG) !== 0,
+        fragments: new Map()
+      };
+      this.pending.set(id, entry);
+    }
+
+    // Duplicated datagrams are ignored
+    if (!entry.fragments.has(number)) {
+      entry.fragments.set(number, buffer.slice(10));
+    }
+
+    if (entry.fragments.size < entry.total) {
+      return null;
+    }
+
+    this.pending.delete(id);
+    return this.assemble(entry);
+  }
+
+  assemble(entry) {
+    const hasSizeField = this.detectSizeField(entry);
+    const parts = [];
+    let compressionInfo = null;
+
+    for (let number = 0; number < entry.total; number++) {
+      let payload = entry.fragments.get(number);
+
+      // Source engine builds since 2006 add a 2-byte max packet size after the numbering
+      if (hasSizeField) {
+        payload = payload.slice(2);
+      }
+
+      if (number === 0 && entry.compressed) {
+        compressionInfo = {
+          size: payload.readUInt32LE(0),
+          crc: payload.readUInt32LE(4)
+        };
+        payload = payload.slice(8);
+      }
+
+      parts.push(payload);
+    }
+
+    let data = Buffer.concat(parts);
+
+    if (entry.compressed) {
+      data = this.decompress(data, compressionInfo);
+    }
+
+    if (data.length < 5 || data.readInt32LE(0) !== this.SINGLE_HEADER) {
+      throw new Error('Reassembled split response has an invalid header');
+    }
+
+    return data;
+  }
+
+  detectSizeField(entry) {
+    const first = entry.fragments.get(0);
+
+    if (entry.compressed) {
+      // Payload starts with size + CRC32, then the "BZh" bzip2 signature
+      return first.slice(10, 13).toString('latin1') === 'BZh';
+    }
+
+    // The first fragment carries the regular 0xFFFFFFFF response header
+    if (first.length >= 4 && first.readInt32LE(0) === this.SINGLE_HEADER) {
+      return false;
+    }
+    if (first.length >= 6 && first.readInt32LE(2) === this.SINGLE_HEADER) {
+      return true;
+    }
+
+    throw new Error('Unable to determine split packet format');
+  }
+
+  decompress(data, compressionInfo) {
+    let decompressed;
+    try {
+      decompressed = Bunzip.decode(data);
+    } catch (error) {
+      throw new Error(`Failed to decompress split response: ${error.message}`);
+    }
+
+    if (decompressed.length !== compressionInfo.size) {
+      throw new Error(`Decompressed size mismatch: expected ${compressionInfo.size}, got ${decompressed.length}`);
+    }
+
+    if (this.crc32(decompressed) !== compressionInfo.crc) {
+      throw new Error('Decompressed split response failed CRC32 check');
+    }
+
+    return decompressed;
+  }
+
+  crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+
+    for (let i = 0; i < buffer.length; i++) {
+      crc ^= buffer[i];
+      for (let bit = 0; bit < 8; bit++) {
+        crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+      }
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}
+
+module.exports = SplitPacketAssembler;
@@ -0,0 +1,62 @@
+class DiscoveryProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.description = options.description || '';
+    this.enabled = options.enabled !== undefined ? options.enabled : true;
+
+    this.stats = {
+      runs: 0,
+      errors: 0,
+      lastError: null,
+      lastErrorAt: null,
+      lastRunAt: null,
+      lastDuration: 0,
+      averageDuration: 0,
+      lastYield: 0,
+      totalYield: 0,
+      lastUniqueYield: 0
+    };
+  }
+
+  // Subclasses return a list of "ip:port" strings
+  async discover() {
+    throw new Error(`Discovery provider ${this.name} does not implement discover()`);
+  }
+
+  async run() {
+    const startTime = Date.now();
+    this.stats.runs++;
+    this.stats.lastRunAt = new Date(startTime).toISOString();
+
+    try {
+      const addresses = await this.discover();
+      this.stats.lastYield = addresses.length;
+      this.stats.totalYield += addresses.length;
+      return addresses;
+
+    } catch (error) {
+      this.stats.errors++;
+      this.stats.lastError = error.message;
+      this.stats.lastErrorAt = new Date().toISOString();
+      this.stats.lastYield = 0;
+      throw error;
+
+    } finally {
+      this.stats.lastDuration = Date.now() - startTime;
+      this.stats.averageDuration = Math.round(
+        this.stats.averageDuration + (this.stats.lastDuration - this.stats.averageDuration) / this.stats.runs
+      );
+    }
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      description: this.description,
+      enabled: this.enabled,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = DiscoveryProvider;
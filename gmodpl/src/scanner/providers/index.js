@@ -0,0 +1,17 @@
+const DiscoveryProvider = require('./base');
+const DiscoveryProviderRegistry = require('./registry');
+const StaticListProvider = require('./static-list');
+const UrlListProvider = require('./url-list');
+const SteamMasterProvider = require('./steam-master');
+const SteamWebApiProvider = require('./steam-web-api');
+const ManualProvider = require('./manual');
+
+module.exports = {
+  DiscoveryProvider,
+  DiscoveryProviderRegistry,
+  StaticListProvider,
+  UrlListProvider,
+  SteamMasterProvider,
+  SteamWebApiProvider,
+  ManualProvider
+};
@@ -0,0 +1,27 @@
+const DiscoveryProvider = require('./base');
+const database = require('../../database');
+
+// Servers added by hand through the discovery API (stored in manual_servers)
+class ManualProvider extends DiscoveryProvider {
+  constructor(options = {}) {
+    super('manual', { description: 'Servers added manually through the API', ...options });
+  }
+
+  async discover() {
+    const rows = await database.getManualServers();
+    return rows.map(row => row.address);
+  }
+
+  async add(address, note = '') {
+    await database.addManualServer(address, note);
+    console.log(`➕ Added manual server: ${address}`);
+  }
+
+  async remove(address) {
+    const result = await database.removeManualServer(address);
+    console.log(`➖ Removed manual server: ${address}`);
+    return result.changes > 0;
+  }
+}
+
+module.exports = ManualProvider;
@@ -0,0 +1,115 @@
+class DiscoveryProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultPort = 27015;
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Discovery provider already registered: ${provider.name}`);
+    }
+    this.providers.set(provider.name, provider);
+    console.log(`🧭 Registered discovery provider: ${provider.name} (${provider.enabled ? 'enabled' : 'disabled'})`);
+    return provider;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  setEnabled(name, enabled) {
+    const provider = this.get(name);
+    if (!provider) {
+      throw new Error(`Unknown discovery provider: ${name}`);
+    }
+    provider.enabled = Boolean(enabled);
+    console.log(`⚙️ Discovery provider ${name} ${provider.enabled ? 'enabled' : 'disabled'}`);
+    return provider;
+  }
+
+  // Comma-separated names, e.g. DISCOVERY_DISABLED_PROVIDERS; a typo must not leave a provider running silently
+  disableByNames(list) {
+    const names = String(list || '').split(',').map(name => name.trim()).filter(Boolean);
+
+    for (const name of names) {
+      if (this.get(name)) {
+        this.setEnabled(name, false);
+      } else {
+        console.log(`⚠️ Unknown discovery provider "${name}" in disabled list (known: ${Array.from(this.providers.keys()).join(', ')})`);
+      }
+    }
+  }
+
+  async discoverAll() {
+    const results = new Map();
+
+    // Providers run one at a time to keep the load on external sources predictable
+    for (const provider of this.providers.values()) {
+      if (!provider.enabled) {
+        continue;
+      }
+
+      console.log(`🧭 Running discovery provider: ${provider.name}`);
+
+      try {
+        const addresses = await provider.run();
+        results.set(provider.name, this.normalizeAddresses(addresses));
+      } catch (error) {
+        console.error(`❌ Discovery provider ${provider.name} failed:`, error.message);
+        results.set(provider.name, []);
+      }
+    }
+
+    const servers = new Set();
+    for (const addresses of results.values()) {
+      addresses.forEach(address => servers.add(address));
+    }
+
+    // Addresses only one provider knows about show which sources are worth keeping
+    for (const [name, addresses] of results) {
+      const others = new Set();
+      for (const [otherName, otherAddresses] of results) {
+        if (otherName !== name) {
+          otherAddresses.forEach(address => others.add(address));
+        }
+      }
+      this.providers.get(name).stats.lastUniqueYield = addresses.filter(address => !others.has(address)).length;
+    }
+
+    return Array.from(servers);
+  }
+
+  normalizeAddresses(addresses) {
+    const normalized = new Set();
+
+    for (const entry of addresses) {
+      const address = this.normalizeAddress(entry);
+      if (address) {
+        normalized.add(address);
+      }
+    }
+
+    return Array.from(normalized);
+  }
+
+  normalizeAddress(entry) {
+    const match = /^\s*(\d{1,3}(?:\.\d{1,3}){3})(?::(\d{1,5}))?\s*$/.exec(String(entry));
+    if (!match) {
+      return null;
+    }
+
+    const octets = match[1].split('.').map(Number);
+    const port = match[2] ? parseInt(match[2]) : this.defaultPort;
+    if (octets.some(octet => octet > 255) || port < 1 || port > 65535) {
+      return null;
+    }
+
+    return `${match[1]}:${port}`;
+  }
+
+  getStats() {
+    return Array.from(this.providers.values()).map(provider => provider.getStats());
+  }
+}
+
+module.exports = DiscoveryProviderRegistry;
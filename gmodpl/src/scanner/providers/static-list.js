@@ -0,0 +1,32 @@
+const fs = require('fs');
+const DiscoveryProvider = require('./base');
+
+// Plain text file, one "ip:port" per line, "#" starts a comment
+class StaticListProvider extends DiscoveryProvider {
+  constructor(options = {}) {
+    super('static', { description: 'Static server list file', ...options });
+    this.filePath = options.filePath || process.env.DISCOVERY_STATIC_FILE || './data/servers.txt';
+  }
+
+  async discover() {
+    if (!fs.existsSync(this.filePath)) {
+      console.log(`📄 Static server list not found: ${this.filePath}`);
+      return [];
+    }
+
+    const content = await fs.promises.readFile(this.filePath, 'utf8');
+    const addresses = StaticListProvider.parseList(content);
+
+    console.log(`✅ Static list: ${addresses.length} servers loaded from ${this.filePath}`);
+    return addresses;
+  }
+
+  static parseList(content) {
+    return content
+      .split(/\r?\n/)
+      .map(line => line.replace(/#.*$/, '').trim())
+      .filter(line => line.length > 0);
+  }
+}
+
+module.exports = StaticListProvider;
@@ -0,0 +1,32 @@
+const DiscoveryProvider = require('./base');
+const MasterServerClient = require('../master');
+const { buildFilter } = require('../filters');
+
+class SteamMasterProvider extends DiscoveryProvider {
+  constructor(options = {}) {
+    super('steam_master', { description: 'Steam master server (UDP)', ...options });
+
+    const [host, port] = (options.address || 'hl2master.steampowered.com:27011').split(':');
+    this.client = options.client || new MasterServerClient({ host, port: parseInt(port) });
+    this.region = options.region || 'europe'; // Polish servers are registered in the Europe region
+    this.filters = options.filters || { gamedir: 'garrysmod' };
+  }
+
+  async discover() {
+    return await this.client.discover({
+      region: this.region,
+      filters: this.filters
+    });
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      region: this.region,
+      filter: buildFilter(this.filters),
+      master: this.client.getStats()
+    };
+  }
+}
+
+module.exports = SteamMasterProvider;
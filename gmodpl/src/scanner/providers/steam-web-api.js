@@ -0,0 +1,50 @@
+const DiscoveryProvider = require('./base');
+const { buildFilter } = require('../filters');
+
+// IGameServersService/GetServerList - shares the SteamAPIClient rate limiter and retries
+class SteamWebApiProvider extends DiscoveryProvider {
+  constructor(options = {}) {
+    super('steam_web_api', {
+      description: 'Steam Web API IGameServersService/GetServerList',
+      enabled: Boolean(options.steamClient),
+      ...options
+    });
+    this.steamClient = options.steamClient || null;
+    this.filters = options.filters || [{ appid: 4000 }]; // Same filter syntax as the master server
+    this.limit = options.limit || 20000;
+  }
+
+  async discover() {
+    if (!this.steamClient) {
+      throw new Error('No Steam client configured');
+    }
+
+    const servers = new Set();
+    const failures = [];
+
+    for (const filters of this.filters) {
+      const filter = buildFilter(filters);
+
+      try {
+        const results = await this.steamClient.getServerList(filter, this.limit);
+        for (const server of results) {
+          if (server.addr) {
+            servers.add(server.addr);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Steam Web API discovery failed for filter ${filter}:`, error.message);
+        failures.push(error.message);
+      }
+    }
+
+    if (failures.length === this.filters.length) {
+      throw new Error(`All Steam Web API filters failed: ${failures[0]}`);
+    }
+
+    console.log(`✅ Steam Web API: ${servers.size} servers discovered`);
+    return Array.from(servers);
+  }
+}
+
+module.exports = SteamWebApiProvider;
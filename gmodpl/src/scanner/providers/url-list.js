@@ -0,0 +1,50 @@
+const axios = require('axios');
+const DiscoveryProvider = require('./base');
+const StaticListProvider = require('./static-list');
+
+// Remote list in the static file format, or JSON: ["ip:port", ...] / [{ ip, port }, ...]
+class UrlListProvider extends DiscoveryProvider {
+  constructor(options = {}) {
+    const url = options.url || process.env.DISCOVERY_LIST_URL || null;
+    super('url', { description: 'Server list pulled from a URL', enabled: Boolean(url), ...options });
+    this.url = url;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async discover() {
+    if (!this.url) {
+      throw new Error('No list URL configured (DISCOVERY_LIST_URL)');
+    }
+
+    const response = await axios.get(this.url, {
+      timeout: this.timeout,
+      responseType: 'text',
+      transformResponse: data => data
+    });
+
+    const addresses = this.parseResponse(response.data);
+    console.log(`✅ URL list: ${addresses.length} servers from ${this.url}`);
+    return addresses;
+  }
+
+  parseResponse(body) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      return StaticListProvider.parseList(body);
+    }
+
+    const entries = Array.isArray(data) ? data : (data.servers || []);
+    return entries
+      .map(entry => {
+        if (typeof entry === 'string') return entry;
+        if (entry && entry.ip) return `${entry.ip}:${entry.port || 27015}`;
+        if (entry && entry.addr) return entry.addr;
+        return null;
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = UrlListProvider;
@@ -1,22 +1,57 @@
-const dgram = require('dgram');
-const axios = require('axios');
 const database = require('../database');
+const SourceQueryClient = require('./client');
+const ServerStatusTracker = require('./status');
+const SessionTracker = require('./sessions');
+const PlayerIdentityService = require('../players/identity');
+const GeoLocationService = require('../geo/service');
+const HostingService = require('../geo/hosting');
+const CommunityService = require('../servers/communities');
+const ServerContinuityService = require('../servers/continuity');
+const { parseGamemodeTag, normalizeGamemode } = require('../servers/gamemodes');
+const { buildFilter } = require('./filters');
+const {
+  DiscoveryProviderRegistry,
+  StaticListProvider,
+  UrlListProvider,
+  SteamMasterProvider,
+  SteamWebApiProvider,
+  ManualProvider
+} = require('./providers');
 
 class ServerScannerService {
-  constructor() {
+  constructor(options = {}) {
     // Configurable settings (will be frontend options later)
     this.scanInterval = 10 * 60 * 1000; // 10 minutes default
     this.maxConcurrentQueries = 50;
     this.queryTimeout = 5000; // 5 seconds
     this.polishScanInterval = 5 * 60 * 1000; // 5 minutes for Polish servers
+    this.queryRules = true; // A2S_RULES for sv_downloadurl, workshop collections etc.
     
-    // Server discovery sources
-    this.steamMasterServer = 'hl2master.steampowered.com:27011';
-    this.gameTrackerAPI = 'https://api.gametracker.com/v1/games/garrysmod/servers';
+    // Server discovery providers (disable by name via DISCOVERY_DISABLED_PROVIDERS)
+    this.steamClient = options.steamClient || null;
+    this.discovery = new DiscoveryProviderRegistry();
+    this.registerDefaultProviders();
     
-    // Query protocol constants
-    this.A2S_INFO = Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0x54, 0x53, 0x6F, 0x75, 0x72, 0x63, 0x65, 0x20, 0x45, 0x6E, 0x67, 0x69, 0x6E, 0x65, 0x20, 0x51, 0x75, 0x65, 0x72, 0x79, 0x00]);
-    this.A2S_PLAYER = Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0x55, 0xFF, 0xFF, 0xFF, 0xFF]);
+    // Source query client (handles the S2C_CHALLENGE handshake and caches tokens)
+    this.queryClient = new SourceQueryClient({ queryTimeout: this.queryTimeout });
+    
+    // Consecutive-failure counters and online/offline transitions
+    this.statusTracker = new ServerStatusTracker();
+    
+    // Player sessions from consecutive A2S_PLAYER lists
+    this.sessionTracker = new SessionTracker();
+    this.identityService = new PlayerIdentityService();
+    
+    // Player SteamIDs seen in server rules are handed to the Steam profile queue
+    this.steamService = options.steamService || null;
+    
+    // Country/city/ASN from an offline GeoIP database, online provider as fallback
+    this.geoService = options.geoService || new GeoLocationService();
+    this.hostingService = options.hostingService || new HostingService();
+    
+    // After every full scan: moved servers are merged, then grouped into communities
+    this.continuityService = options.continuityService || new ServerContinuityService();
+    this.communityService = options.communityService || new CommunityService();
     
     // State tracking
     this.isScanning = false;
@@ -32,6 +67,16 @@ class ServerScannerService {
     };
   }
 
+  registerDefaultProviders() {
+    this.discovery.register(new StaticListProvider());
+    this.discovery.register(new UrlListProvider());
+    this.discovery.register(new SteamMasterProvider());
+    this.discovery.register(new SteamWebApiProvider({ steamClient: this.steamClient }));
+    this.discovery.register(new ManualProvider());
+    
+    this.discovery.disableByNames(process.env.DISCOVERY_DISABLED_PROVIDERS);
+  }
+
   async initialize() {
     console.log('🚀 Initializing Server Scanner Service...');
     
@@ -98,21 +143,16 @@ class ServerScannerService {
     this.scanStats.lastScan = new Date().toISOString();
     
     try {
-      // Discover servers from multiple sources
-      const servers = new Set();
-      
-      // Steam Master Server
-      const steamServers = await this.discoverFromSteamMaster();
-      steamServers.forEach(server => servers.add(server));
+      // Discover servers from every enabled provider
+      const servers = await this.discovery.discoverAll();
+      this.scanStats.totalServers = servers.length;
       
-      // GameTracker API
-      const gameTrackerServers = await this.discoverFromGameTracker();
-      gameTrackerServers.forEach(server => servers.add(server));
-      
-      console.log(`📊 Discovered ${servers.size} unique servers`);
+      console.log(`📊 Discovered ${servers.length} unique servers`);
       
       // Query all discovered servers
-      await this.queryServersBatch(Array.from(servers));
+      await this.queryServersBatch(servers);
+      await this.detectServerMerges();
+      await this.regroupCommunities();
       
       console.log('✅ Full scan completed');
       this.printScanStats();
@@ -122,82 +162,6 @@ class ServerScannerService {
     }
   }
 
-  async discoverFromSteamMaster() {
-    console.log('🎮 Discovering servers from Steam Master Server...');
-    
-    try {
-      return new Promise((resolve, reject) => {
-        const socket = dgram.createSocket('udp4');
-        const servers = [];
-        
-        // Steam Master Server query for Garry's Mod servers
-        const query = Buffer.from([0x31, 0xFF, 0x30, 0x2E, 0x30, 0x2E, 0x30, 0x2E, 0x30, 0x3A, 0x30, 0x00, 0x5C, 0x67, 0x61, 0x6D, 0x65, 0x64, 0x69, 0x72, 0x5C, 0x67, 0x61, 0x72, 0x72, 0x79, 0x73, 0x6D, 0x6F, 0x64, 0x00]);
-        
-        socket.on('message', (msg) => {
-          try {
-            // Parse server list response
-            let offset = 6; // Skip header
-            while (offset < msg.length - 6) {
-              const ip = `${msg[offset]}.${msg[offset+1]}.${msg[offset+2]}.${msg[offset+3]}`;
-              const port = (msg[offset+4] << 8) | msg[offset+5];
-              servers.push(`${ip}:${port}`);
-              offset += 6;
-            }
-          } catch (parseError) {
-            console.error('⚠️ Error parsing Steam Master response:', parseError.message);
-          }
-        });
-        
-        socket.on('error', (err) => {
-          console.error('❌ Steam Master Server error:', err.message);
-          socket.close();
-          resolve(servers);
-        });
-        
-        setTimeout(() => {
-          socket.close();
-          console.log(`✅ Steam Master Server: ${servers.length} servers discovered`);
-          resolve(servers);
-        }, 10000);
-        
-        socket.send(query, 27011, 'hl2master.steampowered.com');
-      });
-      
-    } catch (error) {
-      console.error('❌ Steam Master Server discovery failed:', error.message);
-      return [];
-    }
-  }
-
-  async discoverFromGameTracker() {
-    console.log('🌐 Discovering servers from GameTracker...');
-    
-    try {
-      const response = await axios.get('https://api.gametracker.com/v1/games/garrysmod/servers', {
-        timeout: 10000,
-        params: {
-          limit: 1000
-        }
-      });
-      
-      const servers = [];
-      if (response.data && response.data.servers) {
-        for (const server of response.data.servers) {
-          if (server.ip && server.port) {
-            servers.push(`${server.ip}:${server.port}`);
-          }
-        }
-      }
-      
-      console.log(`✅ GameTracker: ${servers.length} servers discovered`);
-      return servers;
-      
-    } catch (error) {
-      console.error('❌ GameTracker discovery failed:', error.message);
-      return [];
-    }
-  }
-
   async queryServersBatch(servers) {
     console.log(`🔍 Querying ${servers.length} servers in batches...`);
     
@@ -234,7 +198,17 @@ class ServerScannerService {
       ]);
       
       if (serverInfo || playerInfo) {
-        await this.saveServerData(ip, serverPort, serverInfo, playerInfo);
+        // Many servers disable A2S_RULES, so a failed rules query is not fatal
+        let serverRules = null;
+        if (this.queryRules) {
+          try {
+            serverRules = await this.queryServerRules(ip, serverPort);
+          } catch (rulesError) {
+            console.log(`⚠️ Rules query failed for ${ip}:${serverPort}: ${rulesError.message}`);
+          }
+        }
+        
+        await this.saveServerData(ip, serverPort, serverInfo, playerInfo, serverRules);
         this.scanStats.onlineServers++;
         
         // Check if server is Polish
@@ -243,89 +217,45 @@ class ServerScannerService {
           this.scanStats.polishServers++;
         }
       } else {
-        await this.markServerOffline(ip, serverPort);
+        await this.markServerOffline(ip, serverPort, 'Empty response');
         this.scanStats.offlineServers++;
       }
       
     } catch (error) {
       console.log(`⚠️ Server ${ip}:${serverPort} didn't respond: ${error.message}`);
-      await this.markServerOffline(ip, serverPort);
+      await this.markServerOffline(ip, serverPort, error.message);
       this.scanStats.offlineServers++;
     }
   }
 
   async queryServerInfo(ip, port) {
-    return new Promise((resolve, reject) => {
-      const socket = dgram.createSocket('udp4');
-      
-      const timeout = setTimeout(() => {
-        socket.close();
-        reject(new Error('Query timeout'));
-      }, this.queryTimeout);
-      
-      socket.on('message', (msg) => {
-        clearTimeout(timeout);
-        socket.close();
-        
-        try {
-          const serverInfo = this.parseA2SInfo(msg);
-          resolve(serverInfo);
-        } catch (parseError) {
-          reject(parseError);
-        }
-      });
-      
-      socket.on('error', (err) => {
-        clearTimeout(timeout);
-        socket.close();
-        reject(err);
-      });
-      
-      socket.send(this.A2S_INFO, port, ip);
-    });
+    const { response, latency } = await this.queryClient.queryTimed(ip, port, 'info');
+    const info = this.parseA2SInfo(response);
+    info.ping_ms = Math.round(latency * 100) / 100; // Keep sub-millisecond LAN pings above 0
+    return info;
   }
 
   async queryServerPlayers(ip, port) {
-    return new Promise((resolve, reject) => {
-      const socket = dgram.createSocket('udp4');
-      
-      const timeout = setTimeout(() => {
-        socket.close();
-        reject(new Error('Player query timeout'));
-      }, this.queryTimeout);
-      
-      socket.on('message', (msg) => {
-        clearTimeout(timeout);
-        socket.close();
-        
-        try {
-          const playerInfo = this.parseA2SPlayer(msg);
-          resolve(playerInfo);
-        } catch (parseError) {
-          reject(parseError);
-        }
-      });
-      
-      socket.on('error', (err) => {
-        clearTimeout(timeout);
-        socket.close();
-        reject(err);
-      });
-      
-      socket.send(this.A2S_PLAYER, port, ip);
-    });
+    const response = await this.queryClient.query(ip, port, 'player');
+    return this.parseA2SPlayer(response);
+  }
+
+  async queryServerRules(ip, port) {
+    const response = await this.queryClient.query(ip, port, 'rules');
+    return this.parseA2SRules(response);
   }
 
   parseA2SInfo(buffer) {
     try {
-      let offset = 4; // Skip header
+      let offset = 5; // Skip 0xFFFFFFFF header and 0x49 response type
       
       const info = {
         protocol: buffer[offset++],
-        name: this.readString(buffer, offset),
+        name: '',
         map: '',
         folder: '',
         game: '',
+        app_id: 0,
         players: 0,
         max_players: 0,
         bots: 0,
@@ -335,10 +265,17 @@ class ServerScannerService {
         vac: 0,
         version: '',
         port: 0,
-        tags: ''
+        steam_id: null,
+        spectator_port: 0,
+        spectator_name: '',
+        keywords: '',
+        tags: '',
+        game_id: null
       };
       
-      offset += info.name.length + 1;
+      const nameResult = this.readString(buffer, offset);
+      info.name = nameResult.value;
+      offset += nameResult.length + 1;
       
       const mapResult = this.readString(buffer, offset);
       info.map = mapResult.value;
@@ -352,6 +289,9 @@ class ServerScannerService {
       info.game = gameResult.value;
       offset += gameResult.length + 1;
       
+      info.app_id = buffer.readUInt16LE(offset);
+      offset += 2;
+      
       info.players = buffer[offset++];
       info.max_players = buffer[offset++];
       info.bots = buffer[offset++];
@@ -364,6 +304,42 @@ class ServerScannerService {
       info.version = versionResult.value;
       offset += versionResult.length + 1;
       
+      // Extra Data Flag - optional trailing fields, present when the byte exists
+      if (offset < buffer.length) {
+        const edf = buffer[offset++];
+        
+        if (edf & 0x80) {
+          info.port = buffer.readUInt16LE(offset);
+          offset += 2;
+        }
+        
+        if (edf & 0x10) {
+          info.steam_id = buffer.readBigUInt64LE(offset).toString();
+          offset += 8;
+        }
+        
+        if (edf & 0x40) {
+          info.spectator_port = buffer.readUInt16LE(offset);
+          offset += 2;
+          
+          const spectatorResult = this.readString(buffer, offset);
+          info.spectator_name = spectatorResult.value;
+          offset += spectatorResult.length + 1;
+        }
+        
+        if (edf & 0x20) {
+          const keywordsResult = this.readString(buffer, offset);
+          info.keywords = keywordsResult.value;
+          info.tags = keywordsResult.value;
+          offset += keywordsResult.length + 1;
+        }
+        
+        if (edf & 0x01) {
+          info.game_id = buffer.readBigUInt64LE(offset).toString();
+          offset += 8;
+        }
+      }
+      
       return info;
       
     } catch (error) {
@@ -405,6 +381,31 @@ class ServerScannerService {
     }
   }
 
+  parseA2SRules(buffer) {
+    try {
+      let offset = 5; // Skip header
+      const ruleCount = buffer.readUInt16LE(offset);
+      offset += 2;
+      
+      const rules = {};
+      
+      for (let i = 0; i < ruleCount && offset < buffer.length; i++) {
+        const nameResult = this.readString(buffer, offset);
+        offset += nameResult.length + 1;
+        
+        const valueResult = this.readString(buffer, offset);
+        offset += valueResult.length + 1;
+        
+        rules[nameResult.value] = valueResult.value;
+      }
+      
+      return rules;
+      
+    } catch (error) {
+      throw new Error(`Failed to parse A2S_RULES: ${error.message}`);
+    }
+  }
+
   readString(buffer, offset) {
     let length = 0;
     while (offset + length < buffer.length && buffer[offset + length] !== 0) {
@@ -432,8 +433,11 @@ class ServerScannerService {
     return polishIndicators.some(pattern => pattern.test(textToCheck));
   }
 
-  async saveServerData(ip, port, serverInfo, playerInfo) {
+  async saveServerData(ip, port, serverInfo, playerInfo, serverRules = null) {
     try {
+      const location = await this.lookupLocation(ip);
+      const hosting = this.hostingService.classify(ip, location || {});
+      
       // Save/update server
       const serverData = {
         ip,
@@ -448,23 +452,46 @@ class ServerScannerService {
         version: serverInfo?.version || '',
         os: serverInfo?.environment || 'l',
         game_id: 4000, // Garry's Mod
-        country: 'Unknown',
-        region: 'Unknown'
+        country: location?.country || 'Unknown',
+        region: location?.region || 'Unknown',
+        city: location?.city || null,
+        asn: location?.asn || null,
+        as_org: location?.hosting_provider || null, // Raw AS organisation, kept for reclassify
+        hosting_provider: hosting.provider,
+        hosting_type: hosting.type,
+        steam_id: serverInfo?.steam_id || null,
+        keywords: serverInfo?.keywords || '',
+        game_port: serverInfo?.port || port
       };
       
       await database.insertServer(serverData);
       
+      const serverId = await this.getServerId(ip, port);
+      await this.statusTracker.recordSuccess(serverId);
+      
+      if (Array.isArray(playerInfo)) {
+        const observed = await this.sessionTracker.observe(serverId, playerInfo, serverInfo?.map || null);
+        await this.identityService.assignSessions(serverId, observed.openedSessions);
+      }
+      
+      if (serverRules && Object.keys(serverRules).length > 0) {
+        await database.saveServerRules(serverId, serverRules);
+      }
+      
+      await this.queueSteamIds(serverRules);
+      
       // Create snapshot
+      const gamemodeTag = parseGamemodeTag(serverInfo?.tags)?.gamemode || normalizeGamemode(serverRules?.gamemode);
       const snapshotData = {
-        server_id: await this.getServerId(ip, port),
+        server_id: serverId,
         player_count: serverInfo?.players || 0,
         max_players: serverInfo?.max_players || 0,
         map: serverInfo?.map || 'Unknown',
-        gamemode: 'Unknown', // Will be determined by ML
-        gamemode_confidence: 0,
+        gamemode: gamemodeTag || 'Unknown', // Falls back to ML when no gm: tag or rule
+        gamemode_confidence: gamemodeTag ? 1 : 0,
         is_polish_server: this.isPolishServer(serverInfo),
         polish_confidence: this.isPolishServer(serverInfo) ? 0.9 : 0.1,
-        ping_ms: 0 // TODO: Implement ping measurement
+        ping_ms: serverInfo?.ping_ms ?? null // A2S_INFO round trip, challenge excluded
       };
       
       await database.createSnapshot(snapshotData);
@@ -477,11 +504,54 @@ class ServerScannerService {
     }
   }
 
-  async markServerOffline(ip, port) {
+  async detectServerMerges() {
+    try {
+      await this.continuityService.detect();
+    } catch (error) {
+      console.error('❌ Server continuity check failed:', error.message);
+    }
+  }
+
+  async regroupCommunities() {
+    try {
+      await this.communityService.regroup();
+    } catch (error) {
+      console.error('❌ Community grouping failed:', error.message);
+    }
+  }
+
+  // A failed lookup must not stop the server from being saved
+  async lookupLocation(ip) {
     try {
-      const sql = 'UPDATE servers SET last_seen = CURRENT_TIMESTAMP WHERE ip = ? AND port = ?';
-      await database.executeWithRetry(sql, [ip, port]);
-      console.log(`⚠️ Marked server offline: ${ip}:${port}`);
+      return await this.geoService.lookup(ip);
+    } catch (error) {
+      console.error(`❌ Geolocation failed for ${ip}:`, error.message);
+      return null;
+    }
+  }
+
+  // The EDF SteamID in A2S_INFO is the game server's own account ([G:1:...] / 9011...),
+  // not a player profile, so it is kept on servers.steam_id for continuity matching
+  // instead of being queued
+  async queueSteamIds(serverRules) {
+    if (!this.steamService || !serverRules) {
+      return;
+    }
+    
+    const steamIds = this.steamService.extractSteamIds(Object.values(serverRules).join(' '));
+    if (steamIds.length > 0) {
+      await this.steamService.queueSteamIds(steamIds, 'server_rules');
+    }
+  }
+
+  async markServerOffline(ip, port, reason = '') {
+    try {
+      // last_seen stays at the last successful query; is_active flips after the failure threshold
+      const failures = await this.statusTracker.recordFailure(ip, port, reason);
+      if (failures !== null) {
+        console.log(`⚠️ Server ${ip}:${port} failed ${failures} consecutive queries`);
+        await this.sessionTracker.closeStaleSessions(await this.getServerId(ip, port), reason);
+      }
     } catch (error) {
       console.error(`❌ Failed to mark server offline ${ip}:${port}:`, error.message);
     }
@@ -527,7 +597,12 @@ class ServerScannerService {
       ...this.scanStats,
       isScanning: this.isScanning,
       activeQueries: this.activeQueries,
-      polishServersCount: this.polishServers.size
+      polishServersCount: this.polishServers.size,
+      queryClient: this.queryClient.getStats(),
+      discovery: this.discovery.getStats(),
+      statusThresholds: this.statusTracker.getConfig(),
+      sessions: this.sessionTracker.getStats(),
+      identities: this.identityService.getStats()
     };
   }
 
@@ -542,6 +617,40 @@ class ServerScannerService {
     console.log(`⚙️ Polish scan interval set to ${minutes} minutes`);
   }
 
+  setMasterRegion(region) {
+    const provider = this.discovery.get('steam_master');
+    provider.client.resolveRegion(region); // Throws on unknown region names
+    provider.region = region;
+    console.log(`⚙️ Master server region set to ${region}`);
+  }
+
+  setMasterFilters(filters) {
+    const provider = this.discovery.get('steam_master');
+    provider.filters = filters;
+    console.log(`⚙️ Master server filter set to ${buildFilter(filters)}`);
+  }
+
+  setWebApiFilters(filters) {
+    const provider = this.discovery.get('steam_web_api');
+    provider.filters = Array.isArray(filters) ? filters : [filters];
+    console.log(`⚙️ Steam Web API filters set to ${provider.filters.length} filter(s)`);
+  }
+
+  setOfflineThreshold(failures) {
+    this.statusTracker.offlineThreshold = failures;
+    console.log(`⚙️ Servers marked offline after ${failures} failed queries`);
+  }
+
+  setOnlineThreshold(successes) {
+    this.statusTracker.onlineThreshold = successes;
+    console.log(`⚙️ Servers marked online after ${successes} successful queries`);
+  }
+
+  setQueryRules(enabled) {
+    this.queryRules = enabled;
+    console.log(`⚙️ Rules queries ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
   setMaxConcurrentQueries(max) {
     this.maxConcurrentQueries = max;
     console.log(`⚙️ Max concurrent queries set to ${max}`);
@@ -0,0 +1,193 @@
+const database = require('../database');
+
+class SessionTracker {
+  constructor(options = {}) {
+    // A2S_PLAYER durations drift a little between queries (rounding, query latency)
+    this.durationTolerance = options.durationTolerance || 30; // seconds
+    // Sessions not seen for this long are closed when the server stops answering
+    this.sessionTimeout = options.sessionTimeout || 15 * 60 * 1000; // 15 minutes
+
+    this.stats = {
+      sessionsOpened: 0,
+      sessionsClosed: 0,
+      mapChanges: 0,
+      timeouts: 0
+    };
+  }
+
+  // Diff the current player list against open sessions and open/close rows accordingly
+  async observe(serverId, players, map, observedAt = Date.now()) {
+    const now = database.toSqlTime(observedAt);
+
+    const openSessions = await database.all(`
+      SELECT id, player_name, duration_seconds, last_seen, map_on_leave
+      FROM sessions
+      WHERE server_id = ? AND is_active = 1
+    `, [serverId]);
+
+    // Players still connecting report an empty name
+    const current = players.filter(player => player.name && player.name.length > 0);
+    const { matches, unmatchedSessions, unmatchedPlayers } = this.matchPlayers(openSessions, current, observedAt);
+
+    for (const { session, player } of matches) {
+      await this.continueSession(session, player, map, now);
+    }
+
+    const reconnectingNames = new Set(unmatchedPlayers.map(player => player.name));
+    for (const session of unmatchedSessions) {
+      // Same name back with a fresh connect duration means a reconnect, not a new player
+      const eventType = reconnectingNames.has(session.player_name) ? 'reconnect' : 'disconnect';
+      await this.closeSession(session, eventType, now);
+    }
+
+    const opened = [];
+    for (const player of unmatchedPlayers) {
+      opened.push(await this.openSession(serverId, player, map, observedAt));
+    }
+
+    return {
+      continued: matches.length,
+      closed: unmatchedSessions.length,
+      opened: opened.length,
+      openedSessions: opened,
+      sessions: [
+        ...matches.map(({ session, player }) => ({ sessionId: session.id, player })),
+        ...opened
+      ]
+    };
+  }
+
+  matchPlayers(openSessions, players, observedAt) {
+    const candidates = [];
+
+    openSessions.forEach((session, sessionIndex) => {
+      const elapsed = (observedAt - database.parseSqlTime(session.last_seen)) / 1000;
+      const expected = (session.duration_seconds || 0) + elapsed;
+
+      players.forEach((player, playerIndex) => {
+        if (player.name !== session.player_name) {
+          return;
+        }
+
+        // Connect duration must keep growing - a drop means the player reconnected
+        if (player.duration < (session.duration_seconds || 0) - this.durationTolerance) {
+          return;
+        }
+
+        candidates.push({
+          sessionIndex,
+          playerIndex,
+          score: Math.abs(player.duration - expected)
+        });
+      });
+    });
+
+    // Closest duration continuity wins when several players share a name
+    candidates.sort((a, b) => a.score - b.score);
+
+    const usedSessions = new Set();
+    const usedPlayers = new Set();
+    const matches = [];
+
+    for (const candidate of candidates) {
+      if (usedSessions.has(candidate.sessionIndex) || usedPlayers.has(candidate.playerIndex)) {
+        continue;
+      }
+      usedSessions.add(candidate.sessionIndex);
+      usedPlayers.add(candidate.playerIndex);
+      matches.push({
+        session: openSessions[candidate.sessionIndex],
+        player: players[candidate.playerIndex]
+      });
+    }
+
+    return {
+      matches,
+      unmatchedSessions: openSessions.filter((session, index) => !usedSessions.has(index)),
+      unmatchedPlayers: players.filter((player, index) => !usedPlayers.has(index))
+    };
+  }
+
+  async openSession(serverId, player, map, observedAt) {
+    const duration = Math.max(0, Math.round(player.duration || 0));
+    // The player joined before we saw them: back-date by the reported connect duration
+    const joinTime = database.toSqlTime(observedAt - duration * 1000);
+
+    const result = await database.executeWithRetry(`
+      INSERT INTO sessions
+      (server_id, player_name, join_time, last_seen, duration_seconds, map_on_join, map_on_leave, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+    `, [serverId, player.name, joinTime, database.toSqlTime(observedAt), duration, map, map]);
+
+    this.stats.sessionsOpened++;
+    return { sessionId: result.lastID, player };
+  }
+
+  async continueSession(session, player, map, now) {
+    const duration = Math.max(session.duration_seconds || 0, Math.round(player.duration || 0));
+
+    if (session.map_on_leave && map && session.map_on_leave !== map) {
+      await this.recordEvent(session.id, 'map_change', session.map_on_leave, map, now);
+      this.stats.mapChanges++;
+    }
+
+    await database.executeWithRetry(`
+      UPDATE sessions
+      SET duration_seconds = ?, last_seen = ?, map_on_leave = ?
+      WHERE id = ?
+    `, [duration, now, map || session.map_on_leave, session.id]);
+  }
+
+  async closeSession(session, eventType, now, additionalData = null) {
+    // The player left somewhere after the last observation; last_seen is the best bound we have
+    await database.executeWithRetry(`
+      UPDATE sessions
+      SET is_active = 0, leave_time = last_seen
+      WHERE id = ?
+    `, [session.id]);
+
+    await this.recordEvent(session.id, eventType, null, null, now, additionalData);
+    this.stats.sessionsClosed++;
+  }
+
+  async recordEvent(sessionId, eventType, oldValue, newValue, eventTime, additionalData = null) {
+    await database.executeWithRetry(`
+      INSERT INTO session_events (session_id, event_type, event_time, old_value, new_value, additional_data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [sessionId, eventType, eventTime, oldValue, newValue, additionalData ? JSON.stringify(additionalData) : null]);
+
+    await database.executeWithRetry(
+      'UPDATE sessions SET events_count = events_count + 1 WHERE id = ?',
+      [sessionId]
+    );
+  }
+
+  // Called when a server stops answering: sessions we have not confirmed recently time out
+  async closeStaleSessions(serverId, reason = '') {
+    const cutoff = database.toSqlTime(Date.now() - this.sessionTimeout);
+
+    const staleSessions = await database.all(`
+      SELECT id, player_name, duration_seconds, last_seen, map_on_leave
+      FROM sessions
+      WHERE server_id = ? AND is_active = 1 AND last_seen < ?
+    `, [serverId, cutoff]);
+
+    const now = database.toSqlTime(Date.now());
+    for (const session of staleSessions) {
+      await this.closeSession(session, 'timeout', now, reason ? { reason } : null);
+      this.stats.timeouts++;
+    }
+
+    if (staleSessions.length > 0) {
+      console.log(`⌛ Timed out ${staleSessions.length} sessions on server ${serverId}`);
+    }
+
+    return staleSessions.length;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = SessionTracker;
@@ -0,0 +1,187 @@
+const database = require('../database');
+
+class ServerStatusTracker {
+  constructor(options = {}) {
+    // Consecutive results needed before is_active flips
+    this.offlineThreshold = options.offlineThreshold || parseInt(process.env.OFFLINE_FAILURE_THRESHOLD) || 3;
+    this.onlineThreshold = options.onlineThreshold || parseInt(process.env.ONLINE_SUCCESS_THRESHOLD) || 1;
+
+    this.uptimeWindows = {
+      '24h': 24 * 60 * 60 * 1000,
+      '7d': 7 * 24 * 60 * 60 * 1000,
+      '30d': 30 * 24 * 60 * 60 * 1000
+    };
+  }
+
+  async recordSuccess(serverId) {
+    const server = await database.get(
+      'SELECT is_active, consecutive_successes FROM servers WHERE id = ?',
+      [serverId]
+    );
+    if (!server) {
+      return;
+    }
+
+    const successes = (server.consecutive_successes || 0) + 1;
+
+    await database.executeWithRetry(`
+      UPDATE servers
+      SET consecutive_failures = 0, consecutive_successes = ?, last_checked = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [successes, serverId]);
+
+    if (!server.is_active && successes >= this.onlineThreshold) {
+      await database.executeWithRetry('UPDATE servers SET is_active = 1 WHERE id = ?', [serverId]);
+      await this.recordEvent(serverId, 'online', successes, 'Server responded again');
+      console.log(`🟢 Server ${serverId} is back online`);
+      return;
+    }
+
+    // First time we see the server - uptime is measured from here
+    if (server.is_active) {
+      const existing = await database.get(
+        'SELECT id FROM server_status_events WHERE server_id = ? LIMIT 1',
+        [serverId]
+      );
+      if (!existing) {
+        await this.recordEvent(serverId, 'online', successes, 'First successful query');
+      }
+    }
+  }
+
+  async recordFailure(ip, port, reason = '') {
+    const server = await database.get(
+      'SELECT id, is_active, consecutive_failures FROM servers WHERE ip = ? AND port = ?',
+      [ip, port]
+    );
+
+    // Never answered a query, nothing to track yet
+    if (!server) {
+      return null;
+    }
+
+    const failures = (server.consecutive_failures || 0) + 1;
+
+    await database.executeWithRetry(`
+      UPDATE servers
+      SET consecutive_failures = ?, consecutive_successes = 0, last_checked = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [failures, server.id]);
+
+    if (server.is_active && failures >= this.offlineThreshold) {
+      await database.executeWithRetry('UPDATE servers SET is_active = 0 WHERE id = ?', [server.id]);
+      await this.recordEvent(server.id, 'offline', failures, reason);
+      console.log(`🔴 Server ${ip}:${port} marked offline after ${failures} failed queries`);
+    }
+
+    return failures;
+  }
+
+  async recordEvent(serverId, eventType, consecutiveCount, reason) {
+    return await database.executeWithRetry(`
+      INSERT INTO server_status_events (server_id, event_type, consecutive_count, reason)
+      VALUES (?, ?, ?, ?)
+    `, [serverId, eventType, consecutiveCount, reason]);
+  }
+
+  async getUptime(serverId) {
+    const uptime = {};
+    for (const [label, windowMs] of Object.entries(this.uptimeWindows)) {
+      uptime[label] = await this.calculateUptime(serverId, windowMs);
+    }
+    return uptime;
+  }
+
+  async calculateUptime(serverId, windowMs) {
+    const now = Date.now();
+    const windowStart = now - windowMs;
+    const windowStartSql = database.toSqlTime(windowStart);
+
+    // State at the start of the window comes from the last event before it
+    const previous = await database.get(`
+      SELECT event_type, event_time FROM server_status_events
+      WHERE server_id = ? AND event_time < ?
+      ORDER BY event_time DESC, id DESC
+      LIMIT 1
+    `, [serverId, windowStartSql]);
+
+    const events = await database.all(`
+      SELECT event_type, event_time FROM server_status_events
+      WHERE server_id = ? AND event_time >= ?
+      ORDER BY event_time ASC, id ASC
+    `, [serverId, windowStartSql]);
+
+    let state = null;
+    let cursor = windowStart;
+
+    if (previous) {
+      state = previous.event_type;
+    } else if (events.length > 0) {
+      // Tracking began inside the window
+      const first = events.shift();
+      state = first.event_type;
+      cursor = database.parseSqlTime(first.event_time);
+    } else {
+      return { percentage: null, online_seconds: 0, tracked_seconds: 0 };
+    }
+
+    const trackingStart = cursor;
+    let onlineMs = 0;
+
+    for (const event of events) {
+      const eventTime = database.parseSqlTime(event.event_time);
+      if (state === 'online') {
+        onlineMs += eventTime - cursor;
+      }
+      state = event.event_type;
+      cursor = eventTime;
+    }
+
+    if (state === 'online') {
+      onlineMs += now - cursor;
+    }
+
+    const trackedMs = now - trackingStart;
+
+    return {
+      percentage: trackedMs > 0 ? Math.round(onlineMs / trackedMs * 10000) / 100 : 100,
+      online_seconds: Math.round(onlineMs / 1000),
+      tracked_seconds: Math.round(trackedMs / 1000)
+    };
+  }
+
+  async getServerStatus(serverId, eventLimit = 50) {
+    const server = await database.get(`
+      SELECT id, ip, port, name, is_active, consecutive_failures, consecutive_successes,
+             first_seen, last_seen, last_checked
+      FROM servers WHERE id = ?
+    `, [serverId]);
+
+    if (!server) {
+      return null;
+    }
+
+    const events = await database.all(`
+      SELECT event_type, event_time, consecutive_count, reason
+      FROM server_status_events
+      WHERE server_id = ?
+      ORDER BY event_time DESC, id DESC
+      LIMIT ?
+    `, [serverId, eventLimit]);
+
+    return {
+      ...server,
+      uptime: await this.getUptime(serverId),
+      events
+    };
+  }
+
+  getConfig() {
+    return {
+      offlineThreshold: this.offlineThreshold,
+      onlineThreshold: this.onlineThreshold
+    };
+  }
+}
+
+module.exports = ServerStatusTracker;
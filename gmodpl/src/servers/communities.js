@@ -0,0 +1,411 @@
+const database = require('../database');
+const { namePrefix, discordInvites } = require('./names');
+
+class CommunityService {
+  constructor(options = {}) {
+    // A key shared by more servers than this is a reseller or a generic word, not a community
+    this.maxServersPerKey = options.maxServersPerKey || 12;
+    this.statsWindowDays = options.statsWindowDays || 7;
+  }
+
+  // Grouping keys: shared IP (not on game hosts, those are resold slots), name prefix,
+  // sv_downloadurl host and Discord invites in the name
+  getServerKeys(server) {
+    const keys = [];
+
+    if (server.hosting_type !== 'game_host') {
+      keys.push(`ip:${server.ip}`);
+    }
+
+    const prefix = namePrefix(server.name);
+    if (prefix) {
+      keys.push(`prefix:${prefix.key}`);
+    }
+
+    if (server.download_url) {
+      try {
+        keys.push(`download:${new URL(server.download_url).hostname.toLowerCase()}`);
+      } catch (error) {
+        // Not a URL - some servers put plain text in sv_downloadurl
+      }
+    }
+
+    for (const invite of discordInvites(server.name)) {
+      keys.push(`discord:${invite}`);
+    }
+
+    return keys;
+  }
+
+  // Rebuilds automatic groups. Servers assigned by hand stay where they are; an automatic
+  // group joins a manual community when it is linked to exactly one. One transaction, so
+  // the API never sees communities half rebuilt.
+  async regroup() {
+    return await database.transaction(tx => this.regroupServers(tx));
+  }
+
+  async regroupServers(tx) {
+    await tx.executeWithRetry('DELETE FROM community_servers WHERE server_id NOT IN (SELECT id FROM servers)');
+
+    const servers = await tx.all(`
+      SELECT s.id, s.ip, s.name, s.hosting_type, r.rule_value AS download_url,
+             cs.community_id, cs.assigned_by, c.is_manual
+      FROM servers s
+      LEFT JOIN server_rules r ON r.server_id = s.id AND r.rule_name = 'sv_downloadurl'
+      LEFT JOIN community_servers cs ON cs.server_id = s.id
+      LEFT JOIN communities c ON c.id = cs.community_id
+    `);
+
+    const keyServers = new Map();
+    for (const server of servers) {
+      server.keys = this.getServerKeys(server);
+      for (const key of server.keys) {
+        if (!keyServers.has(key)) {
+          keyServers.set(key, []);
+        }
+        keyServers.get(key).push(server);
+      }
+    }
+
+    // Union-find over automatic servers
+    const parent = new Map();
+    const find = id => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const autoServers = servers.filter(server => server.assigned_by !== 'manual');
+    autoServers.forEach(server => parent.set(server.id, server.id));
+
+    const linkingKeys = new Map(); // root -> key types that joined servers
+    for (const [key, members] of keyServers) {
+      if (members.length < 2 || members.length > this.maxServersPerKey) {
+        continue;
+      }
+      const autoMembers = members.filter(server => parent.has(server.id));
+      for (const server of autoMembers.slice(1)) {
+        const a = find(autoMembers[0].id);
+        const b = find(server.id);
+        if (a !== b) {
+          parent.set(b, a);
+        }
+      }
+      if (autoMembers.length > 1) {
+        linkingKeys.set(autoMembers[0].id, [...(linkingKeys.get(autoMembers[0].id) || []), key.split(':')[0]]);
+      }
+    }
+
+    const groups = new Map();
+    for (const server of autoServers) {
+      const root = find(server.id);
+      if (!groups.has(root)) {
+        groups.set(root, { servers: [], groupedBy: new Set() });
+      }
+      groups.get(root).servers.push(server);
+    }
+    for (const [id, types] of linkingKeys) {
+      types.forEach(type => groups.get(find(id)).groupedBy.add(type));
+    }
+
+    const usedCommunities = new Set();
+    let created = 0;
+    let assigned = 0;
+
+    for (const group of groups.values()) {
+      const communityId = await this.pickCommunity(group, keyServers, usedCommunities);
+      let targetId = communityId;
+
+      if (!targetId) {
+        const result = await tx.executeWithRetry(
+          'INSERT INTO communities (name, grouped_by) VALUES (?, ?)',
+          [this.suggestName(group.servers), Array.from(group.groupedBy).join(',') || null]
+        );
+        targetId = result.lastID;
+        created++;
+      } else if (!group.manualTarget) {
+        await tx.executeWithRetry(
+          'UPDATE communities SET name = ?, grouped_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_manual = 0',
+          [this.suggestName(group.servers), Array.from(group.groupedBy).join(',') || null, targetId]
+        );
+      }
+      usedCommunities.add(targetId);
+
+      for (const server of group.servers) {
+        if (server.community_id === targetId) {
+          continue;
+        }
+        await tx.executeWithRetry(`
+          INSERT INTO community_servers (server_id, community_id, assigned_by) VALUES (?, ?, 'auto')
+          ON CONFLICT(server_id) DO UPDATE SET community_id = excluded.community_id, assigned_by = 'auto', assigned_at = CURRENT_TIMESTAMP
+        `, [server.id, targetId]);
+        assigned++;
+      }
+    }
+
+    const removed = await this.deleteEmptyCommunities(tx);
+    console.log(`🏘️ Community grouping: ${groups.size} groups, ${created} new communities, ${assigned} servers moved, ${removed} empty removed`);
+
+    return { servers: servers.length, communities: groups.size, created, assigned, removed };
+  }
+
+  async pickCommunity(group, keyServers, usedCommunities) {
+    // Manual communities linked through any key of the group
+    const manual = new Set();
+    for (const server of group.servers) {
+      for (const key of server.keys) {
+        const members = keyServers.get(key);
+        if (members.length > this.maxServersPerKey) {
+          continue;
+        }
+        members
+          .filter(member => member.assigned_by === 'manual')
+          .forEach(member => manual.add(member.community_id));
+      }
+    }
+    if (manual.size === 1) {
+      group.manualTarget = true;
+      return Array.from(manual)[0];
+    }
+
+    // Otherwise keep the automatic community most of the group already belongs to
+    const counts = new Map();
+    for (const server of group.servers) {
+      if (server.community_id && !server.is_manual && !usedCommunities.has(server.community_id)) {
+        counts.set(server.community_id, (counts.get(server.community_id) || 0) + 1);
+      }
+    }
+
+    let best = null;
+    for (const [communityId, count] of counts) {
+      if (best === null || count > counts.get(best) || (count === counts.get(best) && communityId < best)) {
+        best = communityId;
+      }
+    }
+    return best;
+  }
+
+  // Most common name prefix, else the name of the first server
+  suggestName(servers) {
+    const prefixes = new Map();
+    for (const server of servers) {
+      const prefix = namePrefix(server.name);
+      if (prefix) {
+        const entry = prefixes.get(prefix.key) || { display: prefix.display, count: 0 };
+        entry.count++;
+        prefixes.set(prefix.key, entry);
+      }
+    }
+
+    const best = Array.from(prefixes.values()).sort((a, b) => b.count - a.count)[0];
+    return best ? best.display : (servers[0].name || `${servers[0].ip}`);
+  }
+
+  async deleteEmptyCommunities(tx = database) {
+    const result = await tx.executeWithRetry(
+      'DELETE FROM communities WHERE id NOT IN (SELECT DISTINCT community_id FROM community_servers)'
+    );
+    return result.changes || 0;
+  }
+
+  async requireCommunity(communityId, tx = database) {
+    const community = await tx.get('SELECT * FROM communities WHERE id = ?', [communityId]);
+    if (!community) {
+      throw new Error(`Community not found: ${communityId}`);
+    }
+    return community;
+  }
+
+  // Everything ends up in the first community; all moved servers become manual
+  async merge(communityIds, name = null) {
+    const ids = Array.from(new Set(communityIds.map(Number)));
+    if (ids.length < 2) {
+      throw new Error('Invalid merge: at least two communities are required');
+    }
+
+    const [targetId, ...sourceIds] = ids;
+    const placeholders = ids.map(() => '?').join(', ');
+
+    await database.transaction(async tx => {
+      for (const id of ids) {
+        await this.requireCommunity(id, tx);
+      }
+
+      await tx.executeWithRetry(`
+        UPDATE community_servers SET community_id = ?, assigned_by = 'manual', assigned_at = CURRENT_TIMESTAMP
+        WHERE community_id IN (${placeholders})
+      `, [targetId, ...ids]);
+      await tx.executeWithRetry(
+        `UPDATE communities SET is_manual = 1, name = COALESCE(?, name), updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [name, targetId]
+      );
+      await tx.executeWithRetry(`DELETE FROM communities WHERE id IN (${sourceIds.map(() => '?').join(', ')})`, sourceIds);
+    });
+
+    console.log(`🏘️ Merged communities ${sourceIds.join(', ')} into ${targetId}`);
+    return await this.getCommunity(targetId);
+  }
+
+  // Moves the given servers into a new manual community
+  async split(communityId, serverIds, name = null) {
+    const ids = Array.from(new Set(serverIds.map(Number)));
+
+    const newId = await database.transaction(async tx => {
+      const community = await this.requireCommunity(communityId, tx);
+
+      const members = await tx.all('SELECT server_id FROM community_servers WHERE community_id = ?', [communityId]);
+      const memberIds = new Set(members.map(member => member.server_id));
+      if (ids.length === 0 || ids.some(id => !memberIds.has(id))) {
+        throw new Error(`Invalid split: server_ids must be servers of community ${communityId}`);
+      }
+      if (ids.length === memberIds.size) {
+        throw new Error('Invalid split: at least one server has to stay in the community');
+      }
+
+      const result = await tx.executeWithRetry(
+        'INSERT INTO communities (name, is_manual) VALUES (?, 1)',
+        [name || `${community.name} (split)`]
+      );
+
+      const placeholders = ids.map(() => '?').join(', ');
+      await tx.executeWithRetry(`
+        UPDATE community_servers SET community_id = ?, assigned_by = 'manual', assigned_at = CURRENT_TIMESTAMP
+        WHERE server_id IN (${placeholders})
+      `, [result.lastID, ...ids]);
+      // The remaining servers are pinned too, otherwise the next regroup joins them again
+      await tx.executeWithRetry(
+        "UPDATE community_servers SET assigned_by = 'manual' WHERE community_id = ?",
+        [communityId]
+      );
+      await tx.executeWithRetry(
+        'UPDATE communities SET is_manual = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [communityId]
+      );
+      return result.lastID;
+    });
+
+    console.log(`🏘️ Split ${ids.length} servers from community ${communityId} into ${newId}`);
+    return { source: await this.getCommunity(communityId), created: await this.getCommunity(newId) };
+  }
+
+  async rename(communityId, name) {
+    await this.requireCommunity(communityId);
+    await database.executeWithRetry(
+      'UPDATE communities SET name = ?, is_manual = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [name, communityId]
+    );
+    return await this.getCommunity(communityId);
+  }
+
+  // Players per community and hour: each server counts with its busiest snapshot of the hour
+  async getHourlyTotals(days, communityId = null) {
+    return await database.all(`
+      SELECT community_id, hour, SUM(players) AS players
+      FROM (
+        SELECT cs.community_id, strftime('%Y-%m-%d %H:00:00', ss.snapshot_time) AS hour,
+               ss.server_id, MAX(ss.player_count) AS players
+        FROM server_snapshots ss
+        JOIN community_servers cs ON cs.server_id = ss.server_id
+        WHERE ss.snapshot_time >= datetime('now', ?) ${communityId ? 'AND cs.community_id = ?' : ''}
+        GROUP BY cs.community_id, hour, ss.server_id
+      )
+      GROUP BY community_id, hour
+      ORDER BY community_id, hour
+    `, communityId ? [`-${days} days`, communityId] : [`-${days} days`]);
+  }
+
+  summarizeHours(hours) {
+    if (hours.length === 0) {
+      return { avg_players: 0, peak_players: 0, peak_time: null, peak_hour_utc: null };
+    }
+
+    const peak = hours.reduce((best, hour) => (hour.players > best.players ? hour : best), hours[0]);
+    const profile = this.buildHourlyProfile(hours);
+    const busiestHour = profile.reduce((best, hour) => (hour.avg_players > best.avg_players ? hour : best), profile[0]);
+
+    return {
+      avg_players: Math.round(hours.reduce((total, hour) => total + hour.players, 0) / hours.length * 10) / 10,
+      peak_players: peak.players,
+      peak_time: peak.hour,
+      peak_hour_utc: busiestHour.avg_players > 0 ? busiestHour.hour : null
+    };
+  }
+
+  // Average players per hour of day (UTC)
+  buildHourlyProfile(hours) {
+    const buckets = Array.from({ length: 24 }, (value, hour) => ({ hour, total: 0, samples: 0 }));
+    for (const row of hours) {
+      const bucket = buckets[parseInt(row.hour.slice(11, 13))];
+      bucket.total += row.players;
+      bucket.samples++;
+    }
+    return buckets.map(bucket => ({
+      hour: bucket.hour,
+      avg_players: bucket.samples > 0 ? Math.round(bucket.total / bucket.samples * 10) / 10 : 0
+    }));
+  }
+
+  async listCommunities(options = {}) {
+    const days = options.days || this.statsWindowDays;
+
+    const communities = await database.all(`
+      SELECT c.id, c.name, c.is_manual, c.grouped_by,
+             COUNT(s.id) AS servers,
+             COUNT(CASE WHEN s.is_active = 1 THEN 1 END) AS active_servers,
+             SUM(CASE WHEN s.is_active = 1 THEN s.max_players ELSE 0 END) AS max_players,
+             SUM(CASE WHEN s.is_active = 1 THEN (
+               SELECT player_count FROM server_snapshots WHERE server_id = s.id ORDER BY snapshot_time DESC LIMIT 1
+             ) ELSE 0 END) AS current_players
+      FROM communities c
+      JOIN community_servers cs ON cs.community_id = c.id
+      JOIN servers s ON s.id = cs.server_id
+      GROUP BY c.id
+    `);
+
+    const hoursByCommunity = new Map();
+    for (const row of await this.getHourlyTotals(days)) {
+      if (!hoursByCommunity.has(row.community_id)) {
+        hoursByCommunity.set(row.community_id, []);
+      }
+      hoursByCommunity.get(row.community_id).push(row);
+    }
+
+    return communities
+      .map(community => ({
+        ...community,
+        current_players: community.current_players || 0,
+        ...this.summarizeHours(hoursByCommunity.get(community.id) || [])
+      }))
+      .filter(community => !options.minServers || community.servers >= options.minServers)
+      .sort((a, b) => b.avg_players - a.avg_players || b.peak_players - a.peak_players || b.servers - a.servers)
+      .map((community, index) => ({ rank: index + 1, ...community }));
+  }
+
+  async getCommunity(communityId, options = {}) {
+    const days = options.days || this.statsWindowDays;
+    const community = await this.requireCommunity(communityId);
+
+    const servers = await database.all(`
+      SELECT s.id, s.ip, s.port, s.name, s.map, s.is_active, s.max_players, s.hosting_provider,
+             cs.assigned_by, cs.assigned_at,
+             (SELECT player_count FROM server_snapshots WHERE server_id = s.id ORDER BY snapshot_time DESC LIMIT 1) AS current_players
+      FROM community_servers cs
+      JOIN servers s ON s.id = cs.server_id
+      WHERE cs.community_id = ?
+      ORDER BY s.ip, s.port
+    `, [communityId]);
+
+    const hours = await this.getHourlyTotals(days, communityId);
+
+    return {
+      ...community,
+      servers,
+      current_players: servers.reduce((total, server) => total + (server.is_active ? server.current_players || 0 : 0), 0),
+      ...this.summarizeHours(hours),
+      hourly_profile: this.buildHourlyProfile(hours)
+    };
+  }
+}
+
+module.exports = CommunityService;
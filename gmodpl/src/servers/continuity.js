@@ -0,0 +1,345 @@
+const database = require('../database');
+
+// Convars that identify who runs a server rather than what is currently played
+const FINGERPRINT_RULES = ['sv_downloadurl', 'sv_loadingurl', 'host_workshop_collection', 'sv_contact', 'sv_location'];
+
+// Columns that follow the server to its new address on a merge
+const CURRENT_COLUMNS = [
+  'ip', 'port', 'name', 'map', 'description', 'tags', 'max_players', 'password_protected', 'secure', 'version', 'os',
+  'game_id', 'country', 'region', 'city', 'asn', 'as_org', 'hosting_provider', 'hosting_type', 'steam_id', 'keywords',
+  'game_port', 'last_seen', 'is_active', 'consecutive_failures', 'consecutive_successes', 'last_checked'
+];
+
+// Tables whose rows move from the merged row to the canonical one
+const SERVER_TABLES = [
+  'sessions', 'server_snapshots', 'server_rule_changes', 'server_changes', 'server_status_events',
+  'gamemode_predictions', 'polish_server_predictions', 'manual_labels'
+];
+
+class ServerContinuityService {
+  constructor(options = {}) {
+    this.autoApplyThreshold = options.autoApplyThreshold || parseFloat(process.env.SERVER_MERGE_AUTO_THRESHOLD) || 0.85;
+    this.proposeThreshold = options.proposeThreshold || 0.5;
+    this.lookbackDays = options.lookbackDays || 30; // How old a new address may be
+    this.overlapMinutes = options.overlapMinutes || 60; // Scans of the old and new address may overlap a little
+  }
+
+  normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9ąćęłńóśźż]+/g, ' ').trim();
+  }
+
+  // Dice coefficient over character bigrams
+  nameSimilarity(a, b) {
+    const left = this.normalizeName(a);
+    const right = this.normalizeName(b);
+    if (!left || !right) {
+      return 0;
+    }
+    if (left === right) {
+      return 1;
+    }
+
+    const bigrams = text => {
+      const counts = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.slice(i, i + 2);
+        counts.set(bigram, (counts.get(bigram) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const leftBigrams = bigrams(left);
+    const rightBigrams = bigrams(right);
+    let shared = 0;
+    for (const [bigram, count] of leftBigrams) {
+      shared += Math.min(count, rightBigrams.get(bigram) || 0);
+    }
+    return (2 * shared) / (left.length - 1 + right.length - 1);
+  }
+
+  // Share of fingerprint convars with equal values, null when neither server reports any
+  rulesSimilarity(leftRules, rightRules) {
+    const names = FINGERPRINT_RULES.filter(name => leftRules[name] || rightRules[name]);
+    if (names.length === 0) {
+      return null;
+    }
+    const equal = names.filter(name => leftRules[name] && leftRules[name] === rightRules[name]);
+    return equal.length / names.length;
+  }
+
+  // A matching server SteamID (EDF) is strong evidence, name and rules decide the rest
+  scorePair(oldServer, newServer) {
+    const steamMatch = Boolean(oldServer.steam_id && oldServer.steam_id === newServer.steam_id);
+    const name = this.nameSimilarity(oldServer.name, newServer.name);
+    const rules = this.rulesSimilarity(oldServer.rules, newServer.rules);
+
+    let score;
+    if (steamMatch) {
+      score = 0.7 + 0.15 * name + 0.15 * (rules ?? name);
+    } else if (rules !== null) {
+      score = 0.55 * name + 0.45 * rules;
+    } else {
+      score = 0.5 * name; // A name alone is only ever a proposal
+    }
+
+    return {
+      score: Math.round(score * 1000) / 1000,
+      reasons: { steam_id: steamMatch, name: Math.round(name * 1000) / 1000, rules: rules === null ? null : Math.round(rules * 1000) / 1000 }
+    };
+  }
+
+  async loadServers() {
+    const servers = await database.all(`
+      SELECT id, ip, port, name, steam_id, is_active, first_seen, last_seen
+      FROM servers
+    `);
+    const rules = await database.all(`
+      SELECT server_id, rule_name, rule_value FROM server_rules
+      WHERE rule_name IN (${FINGERPRINT_RULES.map(() => '?').join(', ')})
+    `, FINGERPRINT_RULES);
+
+    const rulesByServer = new Map();
+    for (const rule of rules) {
+      if (!rulesByServer.has(rule.server_id)) {
+        rulesByServer.set(rule.server_id, {});
+      }
+      rulesByServer.get(rule.server_id)[rule.rule_name] = rule.rule_value;
+    }
+
+    return servers.map(server => ({ ...server, rules: rulesByServer.get(server.id) || {} }));
+  }
+
+  // Pairs an offline server with a newer address that took over its identity.
+  // Matches above the auto threshold are merged right away, the rest wait for review.
+  async detect(options = {}) {
+    const autoApply = options.autoApply !== undefined ? options.autoApply : true;
+    const servers = await this.loadServers();
+    const decided = await database.all("SELECT old_server_id, new_server_id FROM server_merge_candidates WHERE status != 'proposed'");
+    const decidedPairs = new Set(decided.map(pair => `${pair.old_server_id}:${pair.new_server_id}`));
+
+    const cutoff = Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000;
+    const newServers = servers.filter(server => database.parseSqlTime(server.first_seen) >= cutoff);
+    const oldServers = servers.filter(server => !server.is_active);
+
+    const matches = [];
+    for (const newServer of newServers) {
+      const newFirstSeen = database.parseSqlTime(newServer.first_seen);
+      let best = null;
+
+      for (const oldServer of oldServers) {
+        if (oldServer.id === newServer.id || decidedPairs.has(`${oldServer.id}:${newServer.id}`)) {
+          continue;
+        }
+        // The old address has to go quiet around the time the new one appears
+        if (database.parseSqlTime(oldServer.last_seen) > newFirstSeen + this.overlapMinutes * 60 * 1000) {
+          continue;
+        }
+        if (database.parseSqlTime(oldServer.first_seen) >= newFirstSeen) {
+          continue;
+        }
+
+        const match = this.scorePair(oldServer, newServer);
+        if (match.score >= this.proposeThreshold && (!best || match.score > best.score)) {
+          best = { oldServer, newServer, ...match };
+        }
+      }
+
+      if (best) {
+        matches.push(best);
+      }
+    }
+
+    // Best matches first, each server takes part in one match per run
+    matches.sort((a, b) => b.score - a.score);
+    const used = new Set();
+    let proposed = 0;
+    let applied = 0;
+
+    for (const match of matches) {
+      if (used.has(match.oldServer.id) || used.has(match.newServer.id)) {
+        continue;
+      }
+      used.add(match.oldServer.id);
+      used.add(match.newServer.id);
+
+      await database.executeWithRetry(`
+        INSERT INTO server_merge_candidates (old_server_id, new_server_id, score, reasons)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(old_server_id, new_server_id) DO UPDATE SET
+          score = excluded.score,
+          reasons = excluded.reasons
+      `, [match.oldServer.id, match.newServer.id, match.score, JSON.stringify(match.reasons)]);
+      proposed++;
+
+      if (autoApply && match.score >= this.autoApplyThreshold) {
+        const candidate = await database.get(
+          'SELECT id FROM server_merge_candidates WHERE old_server_id = ? AND new_server_id = ?',
+          [match.oldServer.id, match.newServer.id]
+        );
+        await this.applyCandidate(candidate.id, 'auto');
+        applied++;
+      }
+    }
+
+    if (proposed > 0) {
+      console.log(`🔀 Server continuity: ${proposed} matches, ${applied} merged automatically`);
+    }
+    return { checked: newServers.length, proposed, applied };
+  }
+
+  async getCandidate(candidateId) {
+    const candidate = await database.get('SELECT * FROM server_merge_candidates WHERE id = ?', [candidateId]);
+    if (!candidate) {
+      throw new Error(`Merge candidate not found: ${candidateId}`);
+    }
+    return candidate;
+  }
+
+  async applyCandidate(candidateId, decidedBy = 'manual') {
+    const candidate = await this.getCandidate(candidateId);
+    if (candidate.status !== 'proposed') {
+      throw new Error(`Invalid merge: candidate ${candidateId} is already ${candidate.status}`);
+    }
+
+    return await database.transaction(async tx => {
+      const server = await this.merge(candidate.old_server_id, candidate.new_server_id, tx);
+      await tx.executeWithRetry(`
+        UPDATE server_merge_candidates SET status = 'applied', decided_by = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [decidedBy, candidateId]);
+      return server;
+    });
+  }
+
+  // Merge requested by hand without a detected candidate
+  async mergeManually(oldServerId, newServerId) {
+    return await database.transaction(async tx => {
+      const server = await this.merge(oldServerId, newServerId, tx);
+      await tx.executeWithRetry(`
+        INSERT INTO server_merge_candidates (old_server_id, new_server_id, status, decided_by, decided_at)
+        VALUES (?, ?, 'applied', 'manual', CURRENT_TIMESTAMP)
+        ON CONFLICT(old_server_id, new_server_id) DO UPDATE SET
+          status = 'applied', decided_by = 'manual', decided_at = CURRENT_TIMESTAMP
+      `, [oldServerId, newServerId]);
+      return server;
+    });
+  }
+
+  async rejectCandidate(candidateId) {
+    const candidate = await this.getCandidate(candidateId);
+    if (candidate.status !== 'proposed') {
+      throw new Error(`Invalid merge: candidate ${candidateId} is already ${candidate.status}`);
+    }
+
+    await database.executeWithRetry(`
+      UPDATE server_merge_candidates SET status = 'rejected', decided_by = 'manual', decided_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [candidateId]);
+    return { ...candidate, status: 'rejected' };
+  }
+
+  // The old row stays the canonical identity (its id keeps the history) and takes over
+  // the new address; the new row's data is moved onto it and the row is deleted.
+  // Runs in one transaction, so a failure halfway leaves both rows as they were.
+  async merge(oldServerId, newServerId, tx = null) {
+    if (!tx) {
+      return await database.transaction(inner => this.merge(oldServerId, newServerId, inner));
+    }
+
+    const oldServer = await tx.get('SELECT * FROM servers WHERE id = ?', [oldServerId]);
+    const newServer = await tx.get('SELECT * FROM servers WHERE id = ?', [newServerId]);
+    if (!oldServer || !newServer) {
+      throw new Error(`Server not found: ${!oldServer ? oldServerId : newServerId}`);
+    }
+    if (oldServerId === newServerId) {
+      throw new Error('Invalid merge: a server cannot be merged into itself');
+    }
+
+    await tx.executeWithRetry(`
+      INSERT INTO server_aliases (server_id, ip, port, first_seen, last_seen)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(ip, port) DO UPDATE SET
+        server_id = excluded.server_id,
+        last_seen = excluded.last_seen,
+        merged_at = CURRENT_TIMESTAMP
+    `, [oldServerId, oldServer.ip, oldServer.port, oldServer.first_seen, oldServer.last_seen]);
+
+    // Aliases of the new row, e.g. when it was itself a merge target before
+    await tx.executeWithRetry('UPDATE server_aliases SET server_id = ? WHERE server_id = ?', [oldServerId, newServerId]);
+
+    for (const table of SERVER_TABLES) {
+      await tx.executeWithRetry(`UPDATE ${table} SET server_id = ? WHERE server_id = ?`, [oldServerId, newServerId]);
+    }
+
+    // Current convars come from the new address
+    await tx.executeWithRetry(`
+      DELETE FROM server_rules WHERE server_id = ? AND rule_name IN (SELECT rule_name FROM server_rules WHERE server_id = ?)
+    `, [oldServerId, newServerId]);
+    await tx.executeWithRetry('UPDATE server_rules SET server_id = ? WHERE server_id = ?', [oldServerId, newServerId]);
+
+    // Per-name counters are unique per server - names seen on both rows keep the canonical entry
+    await tx.executeWithRetry('UPDATE OR IGNORE player_aliases SET server_id = ? WHERE server_id = ?', [oldServerId, newServerId]);
+    await tx.executeWithRetry('DELETE FROM player_aliases WHERE server_id = ?', [newServerId]);
+
+    // The new row's community is the current one
+    const newMembership = await tx.get('SELECT server_id FROM community_servers WHERE server_id = ?', [newServerId]);
+    if (newMembership) {
+      await tx.executeWithRetry('DELETE FROM community_servers WHERE server_id = ?', [oldServerId]);
+      await tx.executeWithRetry('UPDATE community_servers SET server_id = ? WHERE server_id = ?', [oldServerId, newServerId]);
+    }
+
+    // Other proposals for either row are stale now
+    await tx.executeWithRetry(`
+      DELETE FROM server_merge_candidates
+      WHERE status = 'proposed' AND (old_server_id IN (?, ?) OR new_server_id IN (?, ?))
+        AND NOT (old_server_id = ? AND new_server_id = ?)
+    `, [oldServerId, newServerId, oldServerId, newServerId, oldServerId, newServerId]);
+
+    // (ip, port) is unique, so the new row has to go before the old one takes its address
+    await tx.executeWithRetry('DELETE FROM servers WHERE id = ?', [newServerId]);
+    await tx.executeWithRetry(`
+      UPDATE servers SET ${CURRENT_COLUMNS.map(column => `${column} = ?`).join(', ')}
+      WHERE id = ?
+    `, [...CURRENT_COLUMNS.map(column => newServer[column]), oldServerId]);
+
+    // A rename or slot change that came with the move shows up in the timeline
+    await database.recordServerChanges(oldServerId, oldServer, newServer, tx);
+
+    console.log(`🔀 Merged server ${newServer.ip}:${newServer.port} (#${newServerId}) into #${oldServerId}, previously ${oldServer.ip}:${oldServer.port}`);
+    return await tx.get('SELECT * FROM servers WHERE id = ?', [oldServerId]);
+  }
+
+  async listCandidates(options = {}) {
+    const rows = await database.all(`
+      SELECT c.*, o.ip AS old_ip, o.port AS old_port, o.name AS old_name,
+             n.ip AS new_ip, n.port AS new_port, n.name AS new_name
+      FROM server_merge_candidates c
+      LEFT JOIN servers o ON o.id = c.old_server_id
+      LEFT JOIN servers n ON n.id = c.new_server_id
+      WHERE c.status = ?
+      ORDER BY c.score DESC, c.created_at DESC
+      LIMIT ?
+    `, [options.status || 'proposed', options.limit || 100]);
+
+    return rows.map(row => ({ ...row, reasons: row.reasons ? JSON.parse(row.reasons) : null }));
+  }
+
+  async getAliases(serverId) {
+    return await database.all(
+      'SELECT ip, port, first_seen, last_seen, merged_at FROM server_aliases WHERE server_id = ? ORDER BY last_seen DESC',
+      [serverId]
+    );
+  }
+
+  // Canonical server for a current or past address
+  async resolveAddress(ip, port) {
+    const server = await database.get('SELECT id FROM servers WHERE ip = ? AND port = ?', [ip, port]);
+    if (server) {
+      return server.id;
+    }
+    const alias = await database.get('SELECT server_id FROM server_aliases WHERE ip = ? AND port = ?', [ip, port]);
+    return alias ? alias.server_id : null;
+  }
+}
+
+module.exports = ServerContinuityService;
@@ -0,0 +1,43 @@
+// One gamemode vocabulary for snapshots, ML predictions and map analytics
+
+// Gamemode folder names advertised via the "gm:" keyword tag or the gamemode rule
+const GAMEMODE_ALIASES = {
+  'darkrp': 'darkrp',
+  'sandbox': 'sandbox',
+  'terrortown': 'ttt',
+  'ttt': 'ttt',
+  'prop_hunt': 'prophunt',
+  'prophunt': 'prophunt',
+  'murder': 'murder',
+  'deathrun': 'deathrun',
+  'jailbreak': 'jailbreak',
+  'zombiesurvival': 'zombiesurvival',
+  'cinema': 'cinema',
+  'militaryrp': 'militaryrp'
+};
+
+// Canonical name for a folder name; unknown gamemodes keep their lowercased folder
+function normalizeGamemode(value) {
+  const folder = String(value || '').trim().toLowerCase();
+  if (!folder || folder === 'unknown') {
+    return null;
+  }
+  return GAMEMODE_ALIASES[folder] || folder;
+}
+
+// GMod advertises the active gamemode in its keywords, e.g. "gm:darkrp gmws:123 loc:pl"
+function parseGamemodeTag(tags) {
+  const match = /(?:^|[\s,])gm:([^\s,]+)/i.exec(tags || '');
+  if (!match) {
+    return null;
+  }
+
+  const folder = match[1].toLowerCase();
+  return { folder, gamemode: normalizeGamemode(folder), known: folder in GAMEMODE_ALIASES };
+}
+
+module.exports = {
+  GAMEMODE_ALIASES,
+  normalizeGamemode,
+  parseGamemodeTag
+};
@@ -0,0 +1,96 @@
+const database = require('../database');
+
+class ServerHistoryService {
+  constructor(options = {}) {
+    this.timelineDays = options.timelineDays || 90;
+  }
+
+  async getServer(serverId) {
+    const server = await database.get(
+      'SELECT id, ip, port, name, map, tags, max_players, version, password_protected, first_seen, last_seen, is_active FROM servers WHERE id = ?',
+      [serverId]
+    );
+    if (!server) {
+      throw new Error(`Server not found: ${serverId}`);
+    }
+    return server;
+  }
+
+  // Field changes, online/offline transitions, address moves and (optionally) map changes, newest first
+  async getTimeline(serverId, options = {}) {
+    const days = options.days || this.timelineDays;
+    const since = `-${days} days`;
+    const server = await this.getServer(serverId);
+
+    const changes = await database.all(`
+      SELECT 'change' AS type, field, old_value, new_value, changed_at AS time
+      FROM server_changes
+      WHERE server_id = ? AND changed_at >= datetime('now', ?)
+      ${options.fields && options.fields.length > 0 ? `AND field IN (${options.fields.map(() => '?').join(', ')})` : ''}
+    `, [serverId, since, ...(options.fields || [])]);
+
+    const statusEvents = await database.all(`
+      SELECT event_type AS type, reason, event_time AS time
+      FROM server_status_events
+      WHERE server_id = ? AND event_time >= datetime('now', ?)
+    `, [serverId, since]);
+
+    const moves = await database.all(`
+      SELECT 'address' AS type, ip || ':' || port AS old_value, merged_at AS time
+      FROM server_aliases
+      WHERE server_id = ? AND merged_at >= datetime('now', ?)
+    `, [serverId, since]);
+
+    const maps = options.includeMaps ? await this.getMapChanges(serverId, since) : [];
+
+    const timeline = [...changes, ...statusEvents, ...moves, ...maps]
+      .sort((a, b) => (a.time < b.time ? 1 : a.time > b.time ? -1 : 0))
+      .slice(0, options.limit || 500);
+
+    return {
+      server,
+      days,
+      summary: {
+        renames: changes.filter(change => change.field === 'name').length,
+        slot_changes: changes.filter(change => change.field === 'max_players').length,
+        version_changes: changes.filter(change => change.field === 'version').length,
+        moves: moves.length
+      },
+      timeline
+    };
+  }
+
+  // Map changes come from consecutive snapshots - maps rotate too often to store separately
+  async getMapChanges(serverId, since) {
+    return await database.all(`
+      SELECT 'map' AS type, previous_map AS old_value, map AS new_value, snapshot_time AS time
+      FROM (
+        SELECT map, snapshot_time, LAG(map) OVER (ORDER BY snapshot_time, id) AS previous_map
+        FROM server_snapshots
+        WHERE server_id = ? AND snapshot_time >= datetime('now', ?)
+      )
+      WHERE previous_map IS NOT NULL AND map != previous_map
+    `, [serverId, since]);
+  }
+
+  // Recent changes across all servers, e.g. ?field=name for rebrands or max_players for slot increases
+  async getRecentChanges(options = {}) {
+    const rows = await database.all(`
+      SELECT c.server_id, s.ip, s.port, s.name AS current_name, c.field, c.old_value, c.new_value, c.changed_at
+      FROM server_changes c
+      JOIN servers s ON s.id = c.server_id
+      WHERE c.changed_at >= datetime('now', ?) ${options.field ? 'AND c.field = ?' : ''}
+      ORDER BY c.changed_at DESC, c.id DESC
+      LIMIT ?
+    `, [`-${options.days || 30} days`, ...(options.field ? [options.field] : []), options.limit || 100]);
+
+    return rows.map(row => {
+      if (row.field !== 'max_players' || row.old_value === null || row.new_value === null) {
+        return row;
+      }
+      return { ...row, delta: Number(row.new_value) - Number(row.old_value) };
+    });
+  }
+}
+
+module.exports = ServerHistoryService;
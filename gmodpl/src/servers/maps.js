@@ -0,0 +1,253 @@
+const database = require('../database');
+
+// Map prefix conventions, in the canonical gamemode names from ./gamemodes
+const MAP_PREFIX_HINTS = {
+  'rp_': 'darkrp',
+  'ttt_': 'ttt',
+  'gm_': 'sandbox',
+  'dr_': 'deathrun',
+  'deathrun_': 'deathrun',
+  'mu_': 'murder',
+  'ph_': 'prophunt',
+  'jb_': 'jailbreak',
+  'ba_': 'jailbreak',
+  'zs_': 'zombiesurvival'
+};
+
+class MapAnalyticsService {
+  constructor(options = {}) {
+    this.windowDays = options.windowDays || 7;
+    this.learningDays = options.learningDays || 30;
+    this.maxGapMinutes = options.maxGapMinutes || 30; // Longer without a snapshot ends a map run
+    this.minPatternSamples = options.minPatternSamples || 10;
+  }
+
+  getPrefix(map) {
+    const match = /^([a-z0-9]{1,10}_)/.exec(String(map || '').toLowerCase());
+    return match ? match[1] : null;
+  }
+
+  getGamemodeHint(map) {
+    const prefix = this.getPrefix(map);
+    return prefix ? MAP_PREFIX_HINTS[prefix] || null : null;
+  }
+
+  isKnownMap(map) {
+    return Boolean(map) && map !== 'Unknown';
+  }
+
+  // Consecutive snapshots on the same map form one run; durations are measured
+  // between the first and last snapshot of the run
+  async getRotation(serverId, options = {}) {
+    const days = options.days || this.windowDays;
+    const snapshots = await database.all(`
+      SELECT map, player_count, snapshot_time
+      FROM server_snapshots
+      WHERE server_id = ? AND snapshot_time >= datetime('now', ?)
+      ORDER BY snapshot_time ASC, id ASC
+    `, [serverId, `-${days} days`]);
+
+    const runs = [];
+    let run = null;
+    for (const snapshot of snapshots) {
+      if (!this.isKnownMap(snapshot.map)) {
+        continue;
+      }
+
+      const time = database.parseSqlTime(snapshot.snapshot_time);
+      const gap = run ? (time - run.lastTime) / 60000 : 0;
+
+      if (!run || run.map !== snapshot.map || gap > this.maxGapMinutes) {
+        run = { map: snapshot.map, firstTime: time, lastTime: time, started_at: snapshot.snapshot_time, snapshots: 0, playerTotal: 0, peak_players: 0 };
+        runs.push(run);
+      }
+
+      run.lastTime = time;
+      run.ended_at = snapshot.snapshot_time;
+      run.snapshots++;
+      run.playerTotal += snapshot.player_count || 0;
+      run.peak_players = Math.max(run.peak_players, snapshot.player_count || 0);
+    }
+
+    return runs.map(({ firstTime, lastTime, playerTotal, ...rest }) => ({
+      ...rest,
+      duration_minutes: Math.round((lastTime - firstTime) / 60000),
+      avg_players: Math.round(playerTotal / rest.snapshots * 10) / 10
+    }));
+  }
+
+  async getServerMaps(serverId, options = {}) {
+    const runs = await this.getRotation(serverId, options);
+
+    const maps = new Map();
+    const transitions = new Map();
+    for (let i = 0; i < runs.length; i++) {
+      const run = runs[i];
+      if (!maps.has(run.map)) {
+        maps.set(run.map, { map: run.map, runs: 0, total_minutes: 0, snapshots: 0, playerTotal: 0, peak_players: 0 });
+      }
+      const stats = maps.get(run.map);
+      stats.runs++;
+      stats.total_minutes += run.duration_minutes;
+      stats.snapshots += run.snapshots;
+      stats.playerTotal += run.avg_players * run.snapshots;
+      stats.peak_players = Math.max(stats.peak_players, run.peak_players);
+
+      // Map changes inside one session of uptime show the rotation order
+      const next = runs[i + 1];
+      if (next && next.map !== run.map) {
+        const key = `${run.map}→${next.map}`;
+        transitions.set(key, { from: run.map, to: next.map, count: (transitions.get(key)?.count || 0) + 1 });
+      }
+    }
+
+    const mapStats = Array.from(maps.values())
+      .map(({ playerTotal, ...stats }) => ({
+        ...stats,
+        avg_minutes: Math.round(stats.total_minutes / stats.runs),
+        avg_players: Math.round(playerTotal / stats.snapshots * 10) / 10,
+        gamemode_hint: this.getGamemodeHint(stats.map)
+      }))
+      .sort((a, b) => b.total_minutes - a.total_minutes || b.snapshots - a.snapshots);
+
+    return {
+      server_id: serverId,
+      days: options.days || this.windowDays,
+      maps: mapStats,
+      transitions: Array.from(transitions.values()).sort((a, b) => b.count - a.count),
+      rotation: runs.slice(-(options.limit || 100)).reverse()
+    };
+  }
+
+  // Ranked by player samples, so a busy map beats one that is merely common
+  async getPopularMaps(options = {}) {
+    const polishOnly = options.polishOnly !== undefined ? options.polishOnly : true;
+    const rows = await database.all(`
+      SELECT ss.map,
+             COUNT(DISTINCT ss.server_id) AS servers,
+             COUNT(*) AS snapshots,
+             ROUND(AVG(ss.player_count), 1) AS avg_players,
+             MAX(ss.player_count) AS peak_players,
+             SUM(ss.player_count) AS player_samples
+      FROM server_snapshots ss
+      JOIN servers s ON s.id = ss.server_id
+      WHERE ss.snapshot_time >= datetime('now', ?) AND ss.map IS NOT NULL AND ss.map != 'Unknown'
+        ${polishOnly ? "AND (ss.is_polish_server = 1 OR s.country = 'PL')" : ''}
+      GROUP BY ss.map
+      ORDER BY player_samples DESC, servers DESC
+      LIMIT ?
+    `, [`-${options.days || this.windowDays} days`, options.limit || 20]);
+
+    return rows.map(row => ({ ...row, prefix: this.getPrefix(row.map), gamemode_hint: this.getGamemodeHint(row.map) }));
+  }
+
+  // Gamemodes reported (gm: tag or gamemode rule) per map over the learning window
+  async getMapGamemodeCounts(days = this.learningDays) {
+    return await database.all(`
+      SELECT LOWER(map) AS map, LOWER(gamemode) AS gamemode, COUNT(*) AS samples
+      FROM server_snapshots
+      WHERE snapshot_time >= datetime('now', ?) AND gamemode_confidence >= 1
+        AND map IS NOT NULL AND map != 'Unknown' AND gamemode IS NOT NULL AND gamemode != 'Unknown'
+      GROUP BY LOWER(map), LOWER(gamemode)
+    `, [`-${days} days`]);
+  }
+
+  // Observed gamemodes per prefix and how often the static hint is right
+  async getPrefixStats(options = {}) {
+    const counts = await this.getMapGamemodeCounts(options.days || this.learningDays);
+
+    const prefixes = new Map();
+    for (const row of counts) {
+      const prefix = this.getPrefix(row.map);
+      if (!prefix) {
+        continue;
+      }
+      if (!prefixes.has(prefix)) {
+        prefixes.set(prefix, { prefix, hint: MAP_PREFIX_HINTS[prefix] || null, maps: new Set(), samples: 0, gamemodes: {} });
+      }
+      const stats = prefixes.get(prefix);
+      stats.maps.add(row.map);
+      stats.samples += row.samples;
+      stats.gamemodes[row.gamemode] = (stats.gamemodes[row.gamemode] || 0) + row.samples;
+    }
+
+    return Array.from(prefixes.values())
+      .map(stats => {
+        const gamemodes = Object.entries(stats.gamemodes)
+          .map(([gamemode, samples]) => ({ gamemode, samples, share: Math.round(samples / stats.samples * 1000) / 1000 }))
+          .sort((a, b) => b.samples - a.samples);
+        return {
+          prefix: stats.prefix,
+          hint: stats.hint,
+          maps: stats.maps.size,
+          samples: stats.samples,
+          hint_accuracy: stats.hint ? (gamemodes.find(entry => entry.gamemode === stats.hint)?.share || 0) : null,
+          gamemodes
+        };
+      })
+      .sort((a, b) => b.samples - a.samples);
+  }
+
+  // Map/prefix -> gamemode shares go into learned_patterns as "map:<map>=<gamemode>"
+  // and "prefix:<prefix>=<gamemode>" with the share as confidence. Patterns missing
+  // from the current window are deleted, so shares never outlive the data behind them.
+  async learnPatterns(options = {}) {
+    const counts = await this.getMapGamemodeCounts(options.days || this.learningDays);
+
+    const totals = new Map();
+    const add = (key, gamemode, samples) => {
+      if (!totals.has(key)) {
+        totals.set(key, { samples: 0, gamemodes: new Map() });
+      }
+      const entry = totals.get(key);
+      entry.samples += samples;
+      entry.gamemodes.set(gamemode, (entry.gamemodes.get(gamemode) || 0) + samples);
+    };
+    for (const row of counts) {
+      add(`map:${row.map}`, row.gamemode, row.samples);
+      const prefix = this.getPrefix(row.map);
+      if (prefix) {
+        add(`prefix:${prefix}`, row.gamemode, row.samples);
+      }
+    }
+
+    const learned = new Set();
+    for (const [key, entry] of totals) {
+      if (entry.samples < this.minPatternSamples) {
+        continue;
+      }
+
+      for (const [gamemode, samples] of entry.gamemodes) {
+        const patternValue = `${key}=${gamemode}`;
+        const confidence = Math.round(samples / entry.samples * 1000) / 1000;
+
+        const result = await database.executeWithRetry(`
+          UPDATE learned_patterns SET confidence = ?, usage_count = ?, last_used = CURRENT_TIMESTAMP
+          WHERE pattern_type = 'map_gamemode' AND pattern_value = ?
+        `, [confidence, samples, patternValue]);
+
+        if (result.changes === 0) {
+          await database.executeWithRetry(`
+            INSERT INTO learned_patterns (pattern_type, pattern_value, confidence, usage_count)
+            VALUES ('map_gamemode', ?, ?, ?)
+          `, [patternValue, confidence, samples]);
+        }
+        learned.add(patternValue);
+      }
+    }
+
+    let removed = 0;
+    const stored = await database.all("SELECT id, pattern_value FROM learned_patterns WHERE pattern_type = 'map_gamemode'");
+    for (const pattern of stored) {
+      if (!learned.has(pattern.pattern_value)) {
+        await database.executeWithRetry('DELETE FROM learned_patterns WHERE id = ?', [pattern.id]);
+        removed++;
+      }
+    }
+
+    console.log(`🗺️ Learned ${learned.size} map/gamemode patterns from ${counts.length} map/gamemode pairs, removed ${removed} stale`);
+    return { pairs: counts.length, patterns: learned.size, removed };
+  }
+}
+
+module.exports = MapAnalyticsService;
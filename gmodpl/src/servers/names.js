@@ -0,0 +1,59 @@
+// Helpers for reading a community brand out of server names
+
+// Words that say nothing about who runs a server
+const GENERIC_NAME_WORDS = new Set([
+  'pl', 'polska', 'polski', 'polish', 'server', 'serwer', 'gmod', 'garrys', 'mod', 'the', 'and', 'new', 'nowy',
+  'darkrp', 'rp', 'ttt', 'sandbox', 'murder', 'prophunt', 'deathrun', 'jailbreak', 'zombie', 'survival',
+  'fastdl', 'workshop', 'free', 'vip', 'start', 'wipe', 'www', 'discord', 'gg', 'com', 'net', 'eu'
+]);
+
+const WORD_PATTERN = /[a-z0-9ąćęłńóśźż]{3,}/g;
+
+// Distinct non-generic words of a name
+function brandWords(name) {
+  const words = String(name || '').toLowerCase().match(WORD_PATTERN) || [];
+  return Array.from(new Set(words.filter(word => !GENERIC_NAME_WORDS.has(word) && !/^\d+$/.test(word))));
+}
+
+// Text before the first separator with tags and generic words removed:
+// "[PL] KrakenRP.pl | DarkRP #1" -> "KrakenRP"
+function namePrefix(name) {
+  const head = String(name || '')
+    .replace(/[[(][^\])]{0,6}[\])]/g, ' ') // [PL], (EU), [NEW]
+    .replace(/\S+\.[a-z]{2,}\/\S*/gi, ' ') // discord.gg/invite, fastdl links
+    .split(/[|»«•★☆✦#:~]| - | – | — /)
+    .map(part => part.trim())
+    .find(part => part.length > 0);
+
+  if (!head) {
+    return null;
+  }
+
+  const words = head.replace(/\.(pl|eu|com|net|org)\b/gi, '').split(/\s+/)
+    .filter(word => brandWords(word).length > 0);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const display = words.join(' ');
+  const key = display.toLowerCase().replace(/[^a-z0-9ąćęłńóśźż]/g, '');
+  return key.length >= 3 ? { key, display } : null;
+}
+
+// Invite codes from discord.gg / discord.com/invite links
+function discordInvites(text) {
+  const invites = [];
+  const pattern = /discord(?:app)?\.(?:gg|com\/invite|me)\/([A-Za-z0-9-]+)/gi;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    invites.push(match[1].toLowerCase());
+  }
+  return invites;
+}
+
+module.exports = {
+  GENERIC_NAME_WORDS,
+  brandWords,
+  namePrefix,
+  discordInvites
+};
@@ -0,0 +1,147 @@
+const NodeCache = require('node-cache');
+const database = require('../database');
+
+class SteamCache {
+  constructor(options = {}) {
+    // Seconds per endpoint - keys are "<endpoint>_<id>"
+    this.ttls = {
+      player: 6 * 60 * 60, // Summaries change often (names, avatars)
+      games: 3 * 24 * 60 * 60,
+      friends: 24 * 60 * 60,
+      bans: 12 * 60 * 60,
+      vanity: 7 * 24 * 60 * 60,
+      ...options.ttls
+    };
+    this.defaultTTL = 24 * 60 * 60;
+    // Private/missing profiles are remembered so they are not asked for every batch
+    this.negativeTTL = options.negativeTTL || 12 * 60 * 60;
+
+    // Hot layer in front of SQLite
+    this.memory = new NodeCache({ stdTTL: this.defaultTTL, checkperiod: 600 });
+
+    this.stats = {};
+  }
+
+  getEndpoint(key) {
+    return key.split('_')[0];
+  }
+
+  getTTL(endpoint) {
+    return this.ttls[endpoint] || this.defaultTTL;
+  }
+
+  count(endpoint, field) {
+    if (!this.stats[endpoint]) {
+      this.stats[endpoint] = { memoryHits: 0, diskHits: 0, negativeHits: 0, misses: 0, writes: 0 };
+    }
+    this.stats[endpoint][field]++;
+  }
+
+  // undefined = miss, null = cached negative result, anything else = cached value
+  async get(key) {
+    const endpoint = this.getEndpoint(key);
+    const entry = this.memory.get(key);
+
+    if (entry !== undefined) {
+      this.count(endpoint, entry.negative ? 'negativeHits' : 'memoryHits');
+      return entry.negative ? null : entry.value;
+    }
+
+    if (!database.isInitialized) {
+      this.count(endpoint, 'misses');
+      return undefined;
+    }
+
+    const row = await database.get(
+      'SELECT value, is_negative, expires_at FROM steam_api_cache WHERE cache_key = ? AND expires_at > ?',
+      [key, database.toSqlTime(Date.now())]
+    );
+
+    if (!row) {
+      this.count(endpoint, 'misses');
+      return undefined;
+    }
+
+    const cached = { negative: Boolean(row.is_negative), value: row.is_negative ? null : JSON.parse(row.value) };
+    const remaining = Math.floor((database.parseSqlTime(row.expires_at) - Date.now()) / 1000);
+    if (remaining > 0) {
+      this.memory.set(key, cached, remaining);
+    }
+
+    this.count(endpoint, cached.negative ? 'negativeHits' : 'diskHits');
+    database.executeWithRetry('UPDATE steam_api_cache SET hits = hits + 1 WHERE cache_key = ?', [key])
+      .catch(error => console.error('❌ Failed to count Steam cache hit:', error.message));
+
+    return cached.value;
+  }
+
+  async set(key, value) {
+    const endpoint = this.getEndpoint(key);
+    await this.store(key, endpoint, { negative: false, value }, this.getTTL(endpoint));
+  }
+
+  async setNegative(key) {
+    const endpoint = this.getEndpoint(key);
+    await this.store(key, endpoint, { negative: true, value: null }, Math.min(this.negativeTTL, this.getTTL(endpoint)));
+  }
+
+  async store(key, endpoint, entry, ttl) {
+    this.memory.set(key, entry, ttl);
+    this.count(endpoint, 'writes');
+
+    if (!database.isInitialized) {
+      return;
+    }
+
+    await database.executeWithRetry(`
+      INSERT INTO steam_api_cache (cache_key, endpoint, value, is_negative, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(cache_key) DO UPDATE SET
+        value = excluded.value,
+        is_negative = excluded.is_negative,
+        expires_at = excluded.expires_at,
+        created_at = CURRENT_TIMESTAMP,
+        hits = 0
+    `, [key, endpoint, entry.negative ? null : JSON.stringify(entry.value), entry.negative ? 1 : 0,
+      database.toSqlTime(Date.now() + ttl * 1000)]);
+  }
+
+  async purgeExpired() {
+    const result = await database.executeWithRetry(
+      'DELETE FROM steam_api_cache WHERE expires_at <= ?',
+      [database.toSqlTime(Date.now())]
+    );
+    return result.changes || 0;
+  }
+
+  async getDiskStats() {
+    return await database.all(`
+      SELECT endpoint, COUNT(*) AS entries, SUM(is_negative) AS negative_entries, SUM(hits) AS hits
+      FROM steam_api_cache
+      WHERE expires_at > ?
+      GROUP BY endpoint
+    `, [database.toSqlTime(Date.now())]);
+  }
+
+  getStats() {
+    const totals = { memoryHits: 0, diskHits: 0, negativeHits: 0, misses: 0, writes: 0 };
+    for (const endpointStats of Object.values(this.stats)) {
+      for (const field of Object.keys(totals)) {
+        totals[field] += endpointStats[field];
+      }
+    }
+
+    const lookups = totals.memoryHits + totals.diskHits + totals.negativeHits + totals.misses;
+    const memory = this.memory.getStats();
+
+    return {
+      ...totals,
+      hitRate: lookups > 0 ? Math.round((lookups - totals.misses) / lookups * 1000) / 10 : null,
+      memoryKeys: memory.keys,
+      endpoints: { ...this.stats },
+      ttls: { ...this.ttls, negative: this.negativeTTL }
+    };
+  }
+}
+
+module.exports = SteamCache;
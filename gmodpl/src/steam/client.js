@@ -1,18 +1,17 @@
 const axios = require('axios');
-const NodeCache = require('node-cache');
+const SteamCache = require('./cache');
+const SteamRateLimiter = require('./limiter');
 
 class SteamAPIClient {
   constructor() {
     this.apiKey = process.env.STEAM_API_KEY;
-    this.baseUrl = 'https://api.steampowered.com';
+    this.baseUrl = process.env.STEAM_API_BASE_URL || 'https://api.steampowered.com';
     
-    // Rate limiting: 200 requests per 5 minutes
-    this.rateLimitWindow = 5 * 60 * 1000; // 5 minutes in ms
-    this.maxRequestsPerWindow = 200;
-    this.requestHistory = [];
+    // Token bucket (200 requests per 5 minutes), 429 backoff, daily quota and circuit breaker
+    this.limiter = new SteamRateLimiter();
     
-    // Cache Steam data for 24 hours
-    this.cache = new NodeCache({ stdTTL: 24 * 60 * 60 });
+    // NodeCache hot layer backed by SQLite, TTL per endpoint
+    this.cache = new SteamCache();
     
     // Retry configuration
     this.maxRetries = 3;
@@ -29,34 +28,11 @@ class SteamAPIClient {
     console.log('✅ Steam API key loaded');
   }
 
-  async checkRateLimit() {
-    const now = Date.now();
-    
-    // Remove requests older than 5 minutes
-    this.requestHistory = this.requestHistory.filter(
-      timestamp => now - timestamp < this.rateLimitWindow
-    );
-    
-    if (this.requestHistory.length >= this.maxRequestsPerWindow) {
-      const oldestRequest = Math.min(...this.requestHistory);
-      const waitTime = this.rateLimitWindow - (now - oldestRequest);
-      
-      console.log(`⏳ Rate limit reached. Waiting ${Math.ceil(waitTime / 1000)}s...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      
-      // Clean up again after waiting
-      this.requestHistory = this.requestHistory.filter(
-        timestamp => Date.now() - timestamp < this.rateLimitWindow
-      );
-    }
-    
-    this.requestHistory.push(now);
-  }
-
   async makeRequest(url, params) {
-    await this.checkRateLimit();
-    
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      // Throws without a request when the circuit is open or the daily quota is gone
+      await this.limiter.acquire();
+      
       try {
         console.log(`🔄 Steam API request (attempt ${attempt}/${this.maxRetries}): ${url}`);
         
@@ -68,19 +44,30 @@ class SteamAPIClient {
           timeout: 10000 // 10 second timeout
         });
         
+        this.limiter.recordSuccess();
         console.log(`✅ Steam API request successful (attempt ${attempt})`);
         return response.data;
         
       } catch (error) {
+        const status = error.response ? error.response.status : null;
+        this.limiter.recordFailure(status, error.response ? error.response.headers : {});
         console.error(`❌ Steam API request failed (attempt ${attempt}/${this.maxRetries}):`, error.message);
         
-        if (attempt === this.maxRetries) {
-          throw new Error(`Steam API request failed after ${this.maxRetries} attempts: ${error.message}`);
+        // Bad key or private profile - repeating the request cannot help
+        const permanent = status === 401 || status === 403;
+        
+        if (permanent || attempt === this.maxRetries || this.limiter.circuit === 'open') {
+          const failure = new Error(`Steam API request failed after ${attempt} attempts: ${error.message}`);
+          failure.status = status;
+          throw failure;
         }
         
-        const delay = this.retryDelays[attempt - 1];
-        console.log(`⏳ Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        // 429 waits are handled by the limiter on the next acquire()
+        if (status !== 429) {
+          const delay = this.retryDelays[attempt - 1];
+          console.log(`⏳ Retrying in ${delay}ms...`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
       }
     }
   }
@@ -93,11 +80,11 @@ class SteamAPIClient {
     const uncachedIds = [];
     
     for (const steamId of steamIds) {
-      const cached = this.cache.get(`player_${steamId}`);
+      const cached = await this.cache.get(`player_${steamId}`);
       if (cached) {
         cachedResults[steamId] = cached;
         console.log(`💾 Using cached data for Steam ID: ${steamId}`);
-      } else {
+      } else if (cached === undefined) {
         uncachedIds.push(steamId);
       }
     }
@@ -124,14 +111,23 @@ class SteamAPIClient {
         
         const data = await this.makeRequest(url, params);
         
+        const returnedIds = new Set();
         if (data.response && data.response.players) {
           for (const player of data.response.players) {
             // Cache the player data
-            this.cache.set(`player_${player.steamid}`, player);
+            await this.cache.set(`player_${player.steamid}`, player);
+            returnedIds.add(player.steamid);
             allPlayers.push(player);
             console.log(`✅ Fetched and cached player: ${player.personaname} (${player.steamid})`);
           }
         }
+        
+        // Deleted or non-existent accounts are simply left out of the response
+        for (const steamId of batch) {
+          if (!returnedIds.has(steamId)) {
+            await this.cache.setNegative(`player_${steamId}`);
+          }
+        }
       } catch (error) {
         console.error(`❌ Failed to fetch batch of ${batch.length} players:`, error.message);
         throw error;
@@ -145,13 +141,52 @@ class SteamAPIClient {
     return combinedResults;
   }
 
+  async getPlayerBans(steamIds) {
+    console.log(`🚫 Fetching ban status for ${steamIds.length} players`);
+    
+    const cachedResults = [];
+    const uncachedIds = [];
+    
+    for (const steamId of steamIds) {
+      const cached = await this.cache.get(`bans_${steamId}`);
+      if (cached) {
+        cachedResults.push(cached);
+      } else if (cached === undefined) {
+        uncachedIds.push(steamId);
+      }
+    }
+    
+    const allBans = [];
+    
+    // Same 100 Steam IDs per request limit as GetPlayerSummaries
+    for (let i = 0; i < uncachedIds.length; i += 100) {
+      const batch = uncachedIds.slice(i, i + 100);
+      
+      try {
+        const url = `${this.baseUrl}/ISteamUser/GetPlayerBans/v1/`;
+        const data = await this.makeRequest(url, { steamids: batch.join(',') });
+        
+        for (const bans of data.players || []) {
+          await this.cache.set(`bans_${bans.SteamId}`, bans);
+          allBans.push(bans);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to fetch bans for batch of ${batch.length} players:`, error.message);
+        throw error;
+      }
+    }
+    
+    console.log(`✅ Retrieved ban status for ${cachedResults.length + allBans.length} players`);
+    return [...cachedResults, ...allBans];
+  }
+
   async getOwnedGames(steamId) {
     console.log(`🎮 Fetching owned games for Steam ID: ${steamId}`);
     
     // Check cache first
     const cacheKey = `games_${steamId}`;
-    const cached = this.cache.get(cacheKey);
-    if (cached) {
+    const cached = await this.cache.get(cacheKey);
+    if (cached !== undefined) {
       console.log(`💾 Using cached games data for Steam ID: ${steamId}`);
       return cached;
     }
@@ -167,18 +202,121 @@ class SteamAPIClient {
       
       const data = await this.makeRequest(url, params);
       
-      if (data.response) {
+      // Private game details come back as an empty response
+      if (data.response && data.response.game_count !== undefined) {
         // Cache the games data
-        this.cache.set(cacheKey, data.response);
+        await this.cache.set(cacheKey, data.response);
         console.log(`✅ Fetched and cached ${data.response.game_count || 0} games for Steam ID: ${steamId}`);
         return data.response;
       } else {
         console.log(`⚠️ No games data available for Steam ID: ${steamId} (private profile)`);
+        await this.cache.setNegative(cacheKey);
         return null;
       }
       
     } catch (error) {
       console.error(`❌ Failed to fetch games for Steam ID ${steamId}:`, error.message);
+      if (error.status === 401 || error.status === 403) {
+        await this.cache.setNegative(cacheKey);
+      }
+      throw error;
+    }
+  }
+
+  async getFriendList(steamId) {
+    console.log(`👥 Fetching friend list for Steam ID: ${steamId}`);
+    
+    const cacheKey = `friends_${steamId}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached !== undefined) {
+      console.log(`💾 Using cached friend list for Steam ID: ${steamId}`);
+      return cached;
+    }
+    
+    try {
+      const url = `${this.baseUrl}/ISteamUser/GetFriendList/v0001/`;
+      const params = {
+        steamid: steamId,
+        relationship: 'friend'
+      };
+      
+      const data = await this.makeRequest(url, params);
+      
+      // Private friend lists come back as 401 (thrown) or without a friendslist
+      if (!data.friendslist) {
+        console.log(`⚠️ No friend list available for Steam ID: ${steamId} (private profile)`);
+        await this.cache.setNegative(cacheKey);
+        return null;
+      }
+      
+      const friends = data.friendslist.friends || [];
+      await this.cache.set(cacheKey, friends);
+      console.log(`✅ Fetched and cached ${friends.length} friends for Steam ID: ${steamId}`);
+      return friends;
+      
+    } catch (error) {
+      console.error(`❌ Failed to fetch friend list for Steam ID ${steamId}:`, error.message);
+      if (error.status === 401 || error.status === 403) {
+        await this.cache.setNegative(cacheKey);
+      }
+      throw error;
+    }
+  }
+
+  async resolveVanityURL(vanityName) {
+    console.log(`🔗 Resolving vanity URL: ${vanityName}`);
+    
+    const cacheKey = `vanity_${vanityName.toLowerCase()}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached !== undefined) {
+      console.log(`💾 Using cached vanity URL: ${vanityName}`);
+      return cached;
+    }
+    
+    try {
+      const url = `${this.baseUrl}/ISteamUser/ResolveVanityURL/v0001/`;
+      const params = {
+        vanityurl: vanityName,
+        url_type: 1 // Individual profile
+      };
+      
+      const data = await this.makeRequest(url, params);
+      
+      // success 42 = no match
+      if (!data.response || data.response.success !== 1) {
+        console.log(`⚠️ No profile found for vanity URL: ${vanityName}`);
+        await this.cache.setNegative(cacheKey);
+        return null;
+      }
+      
+      await this.cache.set(cacheKey, data.response.steamid);
+      console.log(`✅ Resolved vanity URL ${vanityName} to ${data.response.steamid}`);
+      return data.response.steamid;
+      
+    } catch (error) {
+      console.error(`❌ Failed to resolve vanity URL ${vanityName}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getServerList(filter, limit = 10000) {
+    console.log(`🌐 Fetching game server list for filter: ${filter}`);
+    
+    try {
+      const url = `${this.baseUrl}/IGameServersService/GetServerList/v1/`;
+      const params = {
+        filter,
+        limit
+      };
+      
+      const data = await this.makeRequest(url, params);
+      const servers = (data.response && data.response.servers) || [];
+      
+      console.log(`✅ Fetched ${servers.length} servers from Steam Web API`);
+      return servers;
+      
+    } catch (error) {
+      console.error(`❌ Failed to fetch server list for filter ${filter}:`, error.message);
       throw error;
     }
   }
@@ -227,10 +365,12 @@ class SteamAPIClient {
   getCacheStats() {
     const stats = this.cache.getStats();
     console.log('📊 Steam API Cache Stats:', {
-      keys: stats.keys,
-      hits: stats.hits,
+      memoryKeys: stats.memoryKeys,
+      memoryHits: stats.memoryHits,
+      diskHits: stats.diskHits,
+      negativeHits: stats.negativeHits,
       misses: stats.misses,
-      hitRate: stats.hits / (stats.hits + stats.misses) * 100
+      hitRate: stats.hitRate
     });
     return stats;
   }
@@ -0,0 +1,231 @@
+const database = require('../database');
+
+class SteamRateLimiter {
+  constructor(options = {}) {
+    // Token bucket: 200 requests per 5 minutes on average, short bursts allowed
+    this.baseRate = options.requestsPerSecond || 200 / (5 * 60);
+    this.minRate = this.baseRate / 8;
+    this.rate = this.baseRate;
+    this.capacity = options.burst || 10;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+
+    // 429 without Retry-After
+    this.defaultRetryAfter = 60 * 1000;
+    this.pausedUntil = 0;
+
+    // Steam Web API keys are limited to 100k calls per day
+    this.dailyQuota = options.dailyQuota || parseInt(process.env.STEAM_DAILY_QUOTA) || 100000;
+    this.quotaDay = null;
+    this.quotaUsed = 0;
+
+    // Circuit breaker for Steam outages (repeated 5xx)
+    this.failureThreshold = options.failureThreshold || 5;
+    this.openDuration = options.openDuration || 60 * 1000;
+    this.circuit = 'closed'; // closed, open, half_open
+    this.consecutiveServerErrors = 0;
+    this.circuitOpenedAt = null;
+
+    this.stats = {
+      requests: 0,
+      throttledMs: 0,
+      rateLimited: 0,
+      serverErrors: 0,
+      authErrors: 0,
+      circuitOpens: 0,
+      rejected: 0
+    };
+  }
+
+  // Waits for a token; throws when the circuit is open or the daily quota is used up
+  async acquire() {
+    this.checkCircuit();
+    await this.checkQuota();
+
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) {
+      console.log(`⏳ Steam API paused after 429, waiting ${Math.ceil(wait / 1000)}s...`);
+      this.stats.throttledMs += wait;
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    this.refill();
+    if (this.tokens < 1) {
+      const tokenWait = Math.ceil((1 - this.tokens) / this.rate * 1000);
+      this.stats.throttledMs += tokenWait;
+      await new Promise(resolve => setTimeout(resolve, tokenWait));
+      this.refill();
+    }
+
+    this.tokens -= 1;
+    this.stats.requests++;
+    this.countRequest();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) / 1000 * this.rate);
+    this.lastRefill = now;
+  }
+
+  checkCircuit() {
+    if (this.circuit !== 'open') {
+      return;
+    }
+
+    // After the cooldown one trial request decides between closed and open
+    if (Date.now() - this.circuitOpenedAt >= this.openDuration) {
+      this.circuit = 'half_open';
+      console.log('🔌 Steam API circuit half-open, sending a trial request');
+      return;
+    }
+
+    this.stats.rejected++;
+    const error = new Error('Steam API circuit breaker is open');
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  async checkQuota() {
+    const today = new Date().toISOString().slice(0, 10); // Quota resets at UTC midnight
+
+    if (this.quotaDay !== today) {
+      this.quotaDay = today;
+      this.quotaUsed = await this.loadUsage(today);
+    }
+
+    if (this.quotaUsed >= this.dailyQuota) {
+      this.stats.rejected++;
+      const error = new Error(`Steam API daily quota of ${this.dailyQuota} requests used up`);
+      error.code = 'QUOTA_EXHAUSTED';
+      throw error;
+    }
+  }
+
+  // Usage is stored so a restart does not reset the count for the day
+  async loadUsage(day) {
+    if (!database.isInitialized) {
+      return 0;
+    }
+
+    try {
+      const row = await database.get('SELECT requests FROM steam_api_usage WHERE day = ?', [day]);
+      return row ? row.requests : 0;
+    } catch (error) {
+      console.error('❌ Failed to load Steam API usage:', error.message);
+      return 0;
+    }
+  }
+
+  countRequest() {
+    this.quotaUsed++;
+
+    if (!database.isInitialized) {
+      return;
+    }
+
+    database.executeWithRetry(`
+      INSERT INTO steam_api_usage (day, requests) VALUES (?, 1)
+      ON CONFLICT(day) DO UPDATE SET requests = requests + 1
+    `, [this.quotaDay]).catch(error => console.error('❌ Failed to record Steam API usage:', error.message));
+  }
+
+  recordSuccess() {
+    this.consecutiveServerErrors = 0;
+
+    if (this.circuit === 'half_open') {
+      this.circuit = 'closed';
+      console.log('🔌 Steam API circuit closed');
+    }
+
+    // Creep back towards the configured rate after a 429 slowed us down
+    if (this.rate < this.baseRate) {
+      this.rate = Math.min(this.baseRate, this.rate * 1.05);
+    }
+  }
+
+  recordFailure(status, headers = {}) {
+    if (status === 429) {
+      const retryAfter = this.parseRetryAfter(headers['retry-after']);
+      this.pausedUntil = Date.now() + retryAfter;
+      this.rate = Math.max(this.minRate, this.rate / 2);
+      this.tokens = 0;
+      this.stats.rateLimited++;
+      console.log(`🐢 Steam API returned 429, pausing ${Math.ceil(retryAfter / 1000)}s and lowering rate to ${(this.rate * 60).toFixed(1)}/min`);
+      return;
+    }
+
+    if (status === 401 || status === 403) {
+      this.stats.authErrors++;
+      return;
+    }
+
+    // Network errors count like 5xx - both mean Steam is not answering properly
+    if (!status || status >= 500) {
+      this.stats.serverErrors++;
+      this.consecutiveServerErrors++;
+
+      if (this.circuit === 'half_open' || this.consecutiveServerErrors >= this.failureThreshold) {
+        this.openCircuit();
+      }
+    }
+  }
+
+  openCircuit() {
+    this.circuit = 'open';
+    this.circuitOpenedAt = Date.now();
+    this.stats.circuitOpens++;
+    console.error(`\n🚨 STEAM API ALERT: circuit opened after ${this.consecutiveServerErrors} server errors, pausing requests for ${this.openDuration / 1000}s\n`);
+  }
+
+  // Milliseconds until requests are allowed again after a CIRCUIT_OPEN/QUOTA_EXHAUSTED error
+  getBlockedFor(code) {
+    if (code === 'QUOTA_EXHAUSTED') {
+      const midnight = new Date();
+      midnight.setUTCHours(24, 0, 0, 0);
+      return midnight.getTime() - Date.now();
+    }
+    if (code === 'CIRCUIT_OPEN' && this.circuitOpenedAt) {
+      return Math.max(0, this.circuitOpenedAt + this.openDuration - Date.now());
+    }
+    return 0;
+  }
+
+  // Retry-After is either seconds or an HTTP date
+  parseRetryAfter(value) {
+    if (!value) {
+      return this.defaultRetryAfter;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? this.defaultRetryAfter : Math.max(0, date - Date.now());
+  }
+
+  getState() {
+    this.refill();
+
+    return {
+      circuit: this.circuit,
+      circuitOpenedAt: this.circuitOpenedAt ? new Date(this.circuitOpenedAt).toISOString() : null,
+      consecutiveServerErrors: this.consecutiveServerErrors,
+      requestsPerMinute: Math.round(this.rate * 60 * 10) / 10,
+      baseRequestsPerMinute: Math.round(this.baseRate * 60 * 10) / 10,
+      tokens: Math.floor(this.tokens),
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      quota: {
+        day: this.quotaDay,
+        used: this.quotaUsed,
+        limit: this.dailyQuota,
+        remaining: Math.max(0, this.dailyQuota - this.quotaUsed)
+      },
+      ...this.stats
+    };
+  }
+}
+
+module.exports = SteamRateLimiter;
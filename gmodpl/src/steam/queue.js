@@ -0,0 +1,196 @@
+const database = require('../database');
+
+class SteamQueue {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.STEAM_QUEUE_MAX_ATTEMPTS) || 5;
+    // Retry delay doubles per failed attempt: 1m, 2m, 4m ... capped at 6h
+    this.baseRetryDelay = options.baseRetryDelay || 60 * 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 6 * 60 * 60 * 1000;
+  }
+
+  // Items left in 'processing' were interrupted by a restart
+  async recover() {
+    const result = await database.executeWithRetry(`
+      UPDATE steam_queue SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'processing'
+    `);
+    return result.changes || 0;
+  }
+
+  // Returns how many items were added or promoted to high priority
+  async enqueue(steamIds, priority = 'normal', source = null) {
+    let queued = 0;
+
+    for (const steamId of steamIds) {
+      // Already queued: only ever raise the priority, dead items stay dead until requeued
+      const result = await database.executeWithRetry(`
+        INSERT INTO steam_queue (steam_id, priority, source)
+        VALUES (?, ?, ?)
+        ON CONFLICT(steam_id) DO UPDATE SET
+          priority = 'high',
+          updated_at = CURRENT_TIMESTAMP
+        WHERE excluded.priority = 'high' AND steam_queue.priority != 'high' AND steam_queue.status != 'dead'
+      `, [steamId, priority, source]);
+
+      if (result.changes > 0) {
+        queued++;
+      }
+    }
+
+    return queued;
+  }
+
+  async claimBatch(size) {
+    const rows = await database.all(`
+      SELECT steam_id, priority, attempts FROM steam_queue
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY CASE priority WHEN 'high' THEN 0 ELSE 1 END, added_at DESC
+      LIMIT ?
+    `, [database.toSqlTime(Date.now()), size]);
+
+    if (rows.length > 0) {
+      await database.executeWithRetry(`
+        UPDATE steam_queue SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+        WHERE steam_id IN (${rows.map(() => '?').join(', ')})
+      `, rows.map(row => row.steam_id));
+    }
+
+    return rows;
+  }
+
+  async complete(steamIds) {
+    if (steamIds.length === 0) {
+      return;
+    }
+
+    await database.executeWithRetry(
+      `DELETE FROM steam_queue WHERE steam_id IN (${steamIds.map(() => '?').join(', ')})`,
+      steamIds
+    );
+  }
+
+  // Returns how many items were moved to the dead-letter state
+  async fail(items, errorMessage) {
+    let deadLettered = 0;
+
+    for (const item of items) {
+      const attempts = item.attempts + 1;
+
+      if (attempts >= this.maxAttempts) {
+        await database.executeWithRetry(`
+          UPDATE steam_queue
+          SET status = 'dead', attempts = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE steam_id = ?
+        `, [attempts, errorMessage, item.steam_id]);
+        deadLettered++;
+        continue;
+      }
+
+      await database.executeWithRetry(`
+        UPDATE steam_queue
+        SET status = 'pending', attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE steam_id = ?
+      `, [attempts, errorMessage, database.toSqlTime(Date.now() + this.getRetryDelay(attempts)), item.steam_id]);
+    }
+
+    return deadLettered;
+  }
+
+  // Back to pending without using up an attempt (Steam unavailable, not the item's fault)
+  async release(items, delayMs) {
+    if (items.length === 0) {
+      return;
+    }
+
+    await database.executeWithRetry(`
+      UPDATE steam_queue SET status = 'pending', next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE steam_id IN (${items.map(() => '?').join(', ')})
+    `, [database.toSqlTime(Date.now() + delayMs), ...items.map(item => item.steam_id)]);
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(this.baseRetryDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+  }
+
+  // Milliseconds until the earliest pending item is due, null when nothing is pending
+  async getNextDueIn() {
+    const row = await database.get(
+      "SELECT MIN(next_attempt_at) AS next_attempt_at FROM steam_queue WHERE status = 'pending'"
+    );
+
+    if (!row || !row.next_attempt_at) {
+      return null;
+    }
+
+    return Math.max(0, database.parseSqlTime(row.next_attempt_at) - Date.now());
+  }
+
+  async list(options = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (options.status) {
+      conditions.push('status = ?');
+      params.push(options.status);
+    }
+
+    params.push(options.limit || 100);
+
+    return await database.all(`
+      SELECT steam_id, priority, source, status, attempts, next_attempt_at, last_error, added_at, updated_at
+      FROM steam_queue
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY CASE priority WHEN 'high' THEN 0 ELSE 1 END, next_attempt_at ASC
+      LIMIT ?
+    `, params);
+  }
+
+  // Requeue specific SteamIDs, or every item in a status (dead letters by default)
+  async requeue(options = {}) {
+    const steamIds = options.steamIds || [];
+    const where = steamIds.length > 0
+      ? `steam_id IN (${steamIds.map(() => '?').join(', ')})`
+      : 'status = ?';
+    const params = steamIds.length > 0 ? steamIds : [options.status || 'dead'];
+
+    const result = await database.executeWithRetry(`
+      UPDATE steam_queue
+      SET status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE ${where} AND status != 'processing'
+    `, [database.toSqlTime(Date.now()), ...params]);
+
+    return result.changes || 0;
+  }
+
+  // Delete items in a status; 'all' clears everything that is not being processed
+  async purge(status = 'dead') {
+    const result = status === 'all'
+      ? await database.executeWithRetry("DELETE FROM steam_queue WHERE status != 'processing'")
+      : await database.executeWithRetry('DELETE FROM steam_queue WHERE status = ?', [status]);
+
+    return result.changes || 0;
+  }
+
+  async getCounts() {
+    const rows = await database.all(`
+      SELECT status, priority, COUNT(*) AS count, SUM(CASE WHEN attempts > 0 THEN 1 ELSE 0 END) AS retrying
+      FROM steam_queue
+      GROUP BY status, priority
+    `);
+
+    const counts = { pending: 0, processing: 0, dead: 0, highPriority: 0, retrying: 0 };
+    for (const row of rows) {
+      counts[row.status] += row.count;
+      if (row.status !== 'dead') {
+        if (row.priority === 'high') {
+          counts.highPriority += row.count;
+        }
+        counts.retrying += row.retrying;
+      }
+    }
+
+    return counts;
+  }
+}
+
+module.exports = SteamQueue;
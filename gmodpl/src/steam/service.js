@@ -1,14 +1,90 @@
 const SteamAPIClient = require('./client');
+const SteamQueue = require('./queue');
+const SteamID = require('./steamid');
+const PlayerBanService = require('../players/bans');
 const database = require('../database');
 
 class SteamDataService {
   constructor() {
     this.steamClient = new SteamAPIClient();
-    this.processingQueue = [];
+    this.queue = new SteamQueue();
+    this.banService = new PlayerBanService();
     this.isProcessing = false;
+    this.retryTimer = null;
     this.batchSize = 50;
     this.batchDelay = 2000; // 2 seconds between batches
     this.refreshInterval = 24 * 60 * 60 * 1000; // 24 hours in ms
+    this.recentlyQueued = new Map(); // steamId -> queued at
+    this.fetchFriends = process.env.STEAM_FETCH_FRIENDS !== 'false';
+    
+    // Progress counters for /api/status
+    this.progress = {
+      queuedTotal: 0,
+      processedCount: 0,
+      failedBatches: 0,
+      deadLettered: 0,
+      lastProcessedAt: null,
+      lastRefreshAt: null,
+      queuedBySource: {}
+    };
+  }
+
+  // Individual account SteamIDs in any format - game server accounts have no profile
+  extractSteamIds(text) {
+    return SteamID.extractAll(text);
+  }
+
+  // SteamID64 for a SteamID64, STEAM_X:Y:Z, [U:1:Z], profile link or vanity name/link
+  async resolveSteamId(input) {
+    const steamId = SteamID.toSteamId64(input);
+    if (steamId) {
+      return steamId;
+    }
+    
+    const vanityName = SteamID.getVanityName(input);
+    return vanityName ? await this.steamClient.resolveVanityURL(vanityName) : null;
+  }
+
+  async resolveSteamIds(inputs) {
+    const resolved = new Set();
+    const unresolved = [];
+    
+    for (const input of inputs) {
+      try {
+        const steamId = await this.resolveSteamId(input);
+        if (steamId) {
+          resolved.add(steamId);
+        } else {
+          unresolved.push(input);
+        }
+      } catch (error) {
+        unresolved.push(input);
+      }
+    }
+    
+    return { resolved: Array.from(resolved), unresolved };
+  }
+
+  // Entry point for scanner/import sources: skips IDs queued within the refresh
+  // interval so every scan does not re-fetch the same profiles
+  async queueSteamIds(steamIds, source, priority = 'normal') {
+    const now = Date.now();
+    
+    for (const [steamId, queuedAt] of this.recentlyQueued) {
+      if (now - queuedAt > this.refreshInterval) {
+        this.recentlyQueued.delete(steamId);
+      }
+    }
+    
+    const newIds = steamIds.filter(steamId => priority === 'high' || !this.recentlyQueued.has(steamId));
+    if (newIds.length === 0) {
+      return 0;
+    }
+    
+    newIds.forEach(steamId => this.recentlyQueued.set(steamId, now));
+    this.progress.queuedBySource[source] = (this.progress.queuedBySource[source] || 0) + newIds.length;
+    console.log(`🔎 Queueing ${newIds.length} Steam IDs from ${source}`);
+    return await this.addToQueue(newIds, priority, source);
   }
 
   async initialize() {
@@ -20,6 +96,12 @@ class SteamDataService {
         await database.initialize();
       }
       
+      const recovered = await this.queue.recover();
+      if (recovered > 0) {
+        console.log(`♻️ Recovered ${recovered} interrupted Steam queue items`);
+      }
+      this.processQueue();
+      
       console.log('✅ Steam Data Service initialized');
       return true;
     } catch (error) {
@@ -28,77 +110,81 @@ class SteamDataService {
     }
   }
 
-  async addToQueue(steamIds, priority = 'normal') {
+  async addToQueue(steamIds, priority = 'normal', source = null) {
     console.log(`📥 Adding ${steamIds.length} Steam IDs to processing queue (priority: ${priority})`);
     
-    const queueItems = steamIds.map(steamId => ({
-      steamId,
-      priority,
-      addedAt: Date.now(),
-      retryCount: 0
-    }));
-    
-    if (priority === 'high') {
-      // Add high priority items to the front
-      this.processingQueue.unshift(...queueItems);
-    } else {
-      this.processingQueue.push(...queueItems);
+    // The queue only holds SteamID64s - convert other formats, drop what cannot be resolved
+    const { resolved, unresolved } = await this.resolveSteamIds(steamIds);
+    if (unresolved.length > 0) {
+      console.log(`⚠️ Skipping ${unresolved.length} unresolvable Steam IDs: ${unresolved.slice(0, 5).join(', ')}`);
     }
     
-    console.log(`📊 Queue size: ${this.processingQueue.length}`);
+    const queued = await this.queue.enqueue(resolved, priority, source);
+    this.progress.queuedTotal += queued;
+    
+    const counts = await this.queue.getCounts();
+    console.log(`📊 Queue size: ${counts.pending + counts.processing}`);
     
     // Start processing if not already running
     if (!this.isProcessing) {
       this.processQueue();
     }
+    
+    return queued;
   }
 
   async processQueue() {
-    if (this.isProcessing || this.processingQueue.length === 0) {
+    if (this.isProcessing) {
       return;
     }
     
     this.isProcessing = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
     console.log('🔄 Starting Steam data processing queue...');
     
     try {
-      while (this.processingQueue.length > 0) {
-        // Sort queue by priority and recency
-        this.processingQueue.sort((a, b) => {
-          if (a.priority === 'high' && b.priority !== 'high') return -1;
-          if (b.priority === 'high' && a.priority !== 'high') return 1;
-          return b.addedAt - a.addedAt; // Recently seen first
-        });
-        
-        // Take a batch from the queue
-        const batch = this.processingQueue.splice(0, this.batchSize);
-        const steamIds = batch.map(item => item.steamId);
+      while (true) {
+        // High priority first, then most recently added
+        const batch = await this.queue.claimBatch(this.batchSize);
+        if (batch.length === 0) {
+          break;
+        }
         
+        const steamIds = batch.map(item => item.steam_id);
         console.log(`🔄 Processing batch of ${steamIds.length} Steam IDs...`);
         
         try {
           await this.processBatch(steamIds);
+          await this.queue.complete(steamIds);
+          this.progress.processedCount += steamIds.length;
+          this.progress.lastProcessedAt = new Date().toISOString();
           console.log(`✅ Successfully processed batch of ${steamIds.length} Steam IDs`);
         } catch (error) {
           console.error(`❌ Failed to process batch:`, error.message);
           
-          // Add failed items back to queue for retry
-          const failedItems = batch.map(item => ({
-            ...item,
-            retryCount: item.retryCount + 1
-          })).filter(item => item.retryCount < 3); // Max 3 retries
+          // Circuit open or quota used up: park the batch until Steam can be asked again
+          if (error.code === 'CIRCUIT_OPEN' || error.code === 'QUOTA_EXHAUSTED') {
+            const blockedFor = this.steamClient.limiter.getBlockedFor(error.code);
+            await this.queue.release(batch, blockedFor);
+            console.log(`⏸️ Steam queue paused for ${Math.ceil(blockedFor / 1000)}s (${error.code})`);
+            break;
+          }
+          
+          this.progress.failedBatches++;
           
-          if (failedItems.length > 0) {
-            console.log(`🔄 Adding ${failedItems.length} failed items back to queue for retry`);
-            this.processingQueue.push(...failedItems);
+          // Failed items back off exponentially, then move to the dead-letter state
+          const deadLettered = await this.queue.fail(batch, error.message);
+          this.progress.deadLettered += deadLettered;
+          
+          if (deadLettered > 0) {
+            console.log(`☠️ ${deadLettered} Steam IDs moved to dead-letter after ${this.queue.maxAttempts} attempts`);
           }
         }
         
         // Delay between batches to respect rate limits
-        if (this.processingQueue.length > 0) {
-          console.log(`⏳ Waiting ${this.batchDelay}ms before next batch...`);
-          await new Promise(resolve => setTimeout(resolve, this.batchDelay));
-        }
+        console.log(`⏳ Waiting ${this.batchDelay}ms before next batch...`);
+        await new Promise(resolve => setTimeout(resolve, this.batchDelay));
       }
       
       console.log('✅ Queue processing completed');
@@ -108,6 +194,43 @@ class SteamDataService {
     } finally {
       this.isProcessing = false;
     }
+    
+    await this.scheduleRetry();
+  }
+
+  // Wake up when the earliest backed-off item becomes due
+  async scheduleRetry() {
+    try {
+      const dueIn = await this.queue.getNextDueIn();
+      if (dueIn === null || this.retryTimer) {
+        return;
+      }
+      
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.processQueue();
+      }, Math.max(dueIn, this.batchDelay));
+      this.retryTimer.unref();
+    } catch (error) {
+      console.error('❌ Failed to schedule Steam queue retry:', error.message);
+    }
+  }
+
+  async requeue(options = {}) {
+    const requeued = await this.queue.requeue(options);
+    console.log(`🔁 Requeued ${requeued} Steam queue items`);
+    
+    if (requeued > 0 && !this.isProcessing) {
+      this.processQueue();
+    }
+    
+    return requeued;
+  }
+
+  async purgeQueue(status = 'dead') {
+    const purged = await this.queue.purge(status);
+    console.log(`🧹 Purged ${purged} Steam queue items (${status})`);
+    return purged;
   }
 
   async processBatch(steamIds) {
@@ -127,6 +250,16 @@ class SteamDataService {
         }
       }
       
+      // Ban state for the whole batch in one request (players must exist first)
+      if (playerSummaries.length > 0) {
+        try {
+          const bans = await this.steamClient.getPlayerBans(playerSummaries.map(summary => summary.steamid));
+          await this.banService.recordBans(bans);
+        } catch (error) {
+          console.error('❌ Failed to update ban status:', error.message);
+        }
+      }
+      
       console.log(`✅ Batch processing completed for ${playerSummaries.length} players`);
       
     } catch (error) {
@@ -163,20 +296,38 @@ class SteamDataService {
         country: playerSummary.loccountrycode || null,
         creation_date: playerSummary.timecreated ? new Date(playerSummary.timecreated * 1000).toISOString() : null,
         avatar_url: playerSummary.avatarfull || playerSummary.avatarmedium || playerSummary.avatar,
-        owns_gmod: false,
-        total_games: 0
+        owns_gmod: null, // Unknown until the games list is visible
+        total_games: null,
+        gmod_playtime_minutes: null,
+        gmod_playtime_2weeks: null
       };
       
-      // Check game ownership
-      if (ownedGames && ownedGames.games) {
-        playerData.total_games = ownedGames.game_count || 0;
-        playerData.owns_gmod = ownedGames.games.some(game => game.appid === 4000);
+      // Check game ownership and GMod playtime (minutes)
+      if (ownedGames) {
+        const games = ownedGames.games || [];
+        const gmod = games.find(game => game.appid === 4000);
+        playerData.total_games = ownedGames.game_count || games.length;
+        playerData.owns_gmod = Boolean(gmod);
+        playerData.gmod_playtime_minutes = gmod ? gmod.playtime_forever || 0 : null;
+        playerData.gmod_playtime_2weeks = gmod ? gmod.playtime_2weeks || 0 : null;
       }
       
       // Save to database
       await database.insertPlayer(playerData);
       console.log(`✅ Player data saved: ${playerData.username}`);
       
+      // Friend edges feed the community cluster detection
+      if (this.fetchFriends) {
+        try {
+          const friends = await this.steamClient.getFriendList(steamId);
+          if (friends) {
+            await database.saveFriendships(steamId, friends);
+          }
+        } catch (error) {
+          console.log(`⚠️ Could not fetch friends for player ${steamId} (private profile)`);
+        }
+      }
+      
     } catch (error) {
       console.error(`❌ Failed to process player ${steamId}:`, error.message);
       throw error;
@@ -220,13 +371,14 @@ class SteamDataService {
     }
   }
 
-  async processNewPlayers(steamIds) {
+  async processNewPlayers(steamIds, source = 'import') {
     console.log(`🆕 Processing ${steamIds.length} new players with high priority`);
-    await this.addToQueue(steamIds, 'high');
+    return await this.queueSteamIds(steamIds, source, 'high');
   }
 
   async refreshOldPlayers() {
     console.log('🔄 Finding players that need data refresh...');
+    this.progress.lastRefreshAt = new Date().toISOString();
     
     try {
       const db = await database.getConnection();
@@ -249,7 +401,7 @@ class SteamDataService {
       if (rows.length > 0) {
         const steamIds = rows.map(row => row.steam_id);
         console.log(`📅 Found ${steamIds.length} players needing refresh`);
-        await this.addToQueue(steamIds, 'normal');
+        await this.queueSteamIds(steamIds, 'refresh');
       } else {
         console.log('✅ No players need refresh');
       }
@@ -260,11 +412,17 @@ class SteamDataService {
     }
   }
 
-  getQueueStats() {
+  async getQueueStats() {
+    const counts = await this.queue.getCounts();
     const stats = {
-      queueSize: this.processingQueue.length,
+      queueSize: counts.pending + counts.processing,
       isProcessing: this.isProcessing,
-      highPriorityCount: this.processingQueue.filter(item => item.priority === 'high').length,
+      highPriorityCount: counts.highPriority,
+      retryingCount: counts.retrying,
+      deadCount: counts.dead,
+      maxAttempts: this.queue.maxAttempts,
+      ...this.progress,
+      bans: this.banService.getStats(),
       cacheStats: this.steamClient.getCacheStats()
     };
     
@@ -0,0 +1,115 @@
+// SteamID conversions between SteamID64, STEAM_X:Y:Z (Steam2), [U:1:Z] (Steam3),
+// account IDs and steamcommunity.com profile links
+
+const INDIVIDUAL_BASE = 76561197960265728n; // universe 1, type 1 (individual), instance 1
+const MAX_ACCOUNT_ID = 0xFFFFFFFFn; // The low 32 bits of a SteamID64
+
+const patterns = {
+  steamId64: /^7656(?:119|120)\d{10}$/, // Individual accounts run from 76561197960265728 to 76561202255233023
+  steam2: /^STEAM_([0-5]):([01]):(\d+)$/i,
+  steam3: /^\[?U:1:(\d+)(?::\d+)?\]?$/i,
+  profileUrl: /steamcommunity\.com\/profiles\/(\d{17})/i,
+  vanityUrl: /steamcommunity\.com\/id\/([^/?#\s]+)/i,
+  vanityName: /^[A-Za-z0-9_-]{2,32}$/
+};
+
+// Every SteamID written in any supported format inside free text
+const textPattern = /\b7656(?:119|120)\d{10}\b|\bSTEAM_[0-5]:[01]:\d+\b|\[U:1:\d+\]/gi;
+
+// null for account IDs that do not fit in 32 bits
+function fromAccountId(accountId) {
+  const value = BigInt(accountId);
+  if (value < 0n || value > MAX_ACCOUNT_ID) {
+    return null;
+  }
+  return (INDIVIDUAL_BASE + value).toString();
+}
+
+function toAccountId(steamId64) {
+  return Number(BigInt(steamId64) - INDIVIDUAL_BASE);
+}
+
+function isIndividual(steamId64) {
+  if (!/^\d{17}$/.test(String(steamId64))) {
+    return false;
+  }
+  const value = BigInt(steamId64);
+  return (value >> 56n) === 1n && ((value >> 52n) & 0xFn) === 1n && ((value >> 32n) & 0xFFFFFn) === 1n;
+}
+
+// SteamID64 for any format that needs no API call, null otherwise (vanity names)
+function toSteamId64(input) {
+  const value = String(input || '').trim();
+  let match;
+
+  if (patterns.steamId64.test(value)) {
+    return isIndividual(value) ? value : null;
+  }
+  if ((match = value.match(patterns.steam2))) {
+    return fromAccountId(BigInt(match[3]) * 2n + BigInt(match[2]));
+  }
+  if ((match = value.match(patterns.steam3))) {
+    return fromAccountId(match[1]);
+  }
+  if ((match = value.match(patterns.profileUrl))) {
+    return isIndividual(match[1]) ? match[1] : null;
+  }
+
+  return null;
+}
+
+// Vanity name from a /id/ link or a bare custom URL name
+function getVanityName(input) {
+  const value = String(input || '').trim();
+  const match = value.match(patterns.vanityUrl);
+
+  if (match) {
+    return decodeURIComponent(match[1]);
+  }
+  if (patterns.vanityName.test(value) && !/^\d+$/.test(value)) {
+    return value;
+  }
+  return null;
+}
+
+function toSteam2(steamId64, universe = 0) {
+  const accountId = toAccountId(steamId64);
+  return `STEAM_${universe}:${accountId % 2}:${Math.floor(accountId / 2)}`;
+}
+
+function toSteam3(steamId64) {
+  return `[U:1:${toAccountId(steamId64)}]`;
+}
+
+function toProfileUrl(steamId64) {
+  return `https://steamcommunity.com/profiles/${steamId64}`;
+}
+
+function getFormats(steamId64) {
+  return {
+    steamid64: steamId64,
+    steam2: toSteam2(steamId64),
+    steam3: toSteam3(steamId64),
+    account_id: toAccountId(steamId64),
+    profile_url: toProfileUrl(steamId64)
+  };
+}
+
+// Unique SteamID64s for every SteamID found in a block of text
+function extractAll(text) {
+  const found = String(text || '').match(textPattern) || [];
+  return Array.from(new Set(found.map(toSteamId64).filter(Boolean)));
+}
+
+module.exports = {
+  toSteamId64,
+  getVanityName,
+  toSteam2,
+  toSteam3,
+  toAccountId,
+  fromAccountId,
+  toProfileUrl,
+  getFormats,
+  isIndividual,
+  extractAll
+};
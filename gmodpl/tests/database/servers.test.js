@@ -0,0 +1,72 @@
+const { useTestDatabase, minutesAgo } = require('../helpers/database');
+const database = useTestDatabase();
+
+const BASE = {
+  ip: '192.0.2.80', port: 27015, name: 'KrakenRP | DarkRP', map: 'rp_downtown_v4c', tags: 'gm:darkrp',
+  max_players: 64, password_protected: true, secure: 1, version: '2024.10.29', os: 'l', game_id: 4000
+};
+
+const changedFields = async serverId => (await database.all(
+  'SELECT field, old_value, new_value FROM server_changes WHERE server_id = ? ORDER BY field', [serverId]
+));
+
+describe('insertServer', () => {
+  let run = 0;
+  let server;
+
+  beforeEach(() => {
+    run++;
+    server = { ...BASE, port: 27000 + run };
+  });
+
+  test('a second save updates the row in place and keeps the status columns', async () => {
+    const first = await database.insertServer(server);
+    const { id } = await database.get('SELECT id FROM servers WHERE ip = ? AND port = ?', [server.ip, server.port]);
+    expect(first.lastID).toBe(id);
+
+    // Owned by the scanner's status tracking, not by the server info
+    const firstSeen = minutesAgo(3 * 24 * 60);
+    await database.executeWithRetry(
+      'UPDATE servers SET is_active = 0, consecutive_failures = 4, consecutive_successes = 0, first_seen = ? WHERE id = ?',
+      [firstSeen, id]
+    );
+
+    await database.insertServer({ ...server, map: 'gm_construct' });
+
+    expect(await database.all('SELECT id FROM servers WHERE ip = ? AND port = ?', [server.ip, server.port])).toEqual([{ id }]);
+    expect(await database.get(
+      'SELECT map, is_active, consecutive_failures, consecutive_successes, first_seen FROM servers WHERE id = ?', [id]
+    )).toEqual({ map: 'gm_construct', is_active: 0, consecutive_failures: 4, consecutive_successes: 0, first_seen: firstSeen });
+  });
+
+  test('records exactly the tracked fields that changed', async () => {
+    await database.insertServer(server);
+    const { id } = await database.get('SELECT id FROM servers WHERE ip = ? AND port = ?', [server.ip, server.port]);
+
+    // Map and OS are not tracked
+    await database.insertServer({ ...server, name: 'KrakenRP | TTT', max_players: 32, map: 'ttt_minecraft_b5', os: 'w' });
+
+    expect(await changedFields(id)).toEqual([
+      { field: 'max_players', old_value: '64', new_value: '32' },
+      { field: 'name', old_value: 'KrakenRP | DarkRP', new_value: 'KrakenRP | TTT' }
+    ]);
+    expect((await database.getServerChanges(id, { fields: ['name'] })).map(change => change.new_value)).toEqual(['KrakenRP | TTT']);
+  });
+
+  test('a boolean and the stored integer are the same password state', async () => {
+    await database.insertServer(server);
+    const { id } = await database.get('SELECT id FROM servers WHERE ip = ? AND port = ?', [server.ip, server.port]);
+
+    await database.insertServer({ ...server, password_protected: 1 });
+    expect(await changedFields(id)).toEqual([]);
+
+    await database.insertServer({ ...server, password_protected: false });
+    expect(await changedFields(id)).toEqual([{ field: 'password_protected', old_value: '1', new_value: '0' }]);
+  });
+
+  test('a first save records no changes', async () => {
+    await database.insertServer(server);
+    const { id } = await database.get('SELECT id FROM servers WHERE ip = ? AND port = ?', [server.ip, server.port]);
+    expect(await changedFields(id)).toEqual([]);
+  });
+});
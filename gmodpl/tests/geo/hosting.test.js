@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HostingService = require('../../src/geo/hosting');
+
+const PROVIDERS_FILE = path.join(__dirname, '../../data/hosting-providers.json');
+
+describe('HostingService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('shipped provider file', () => {
+    const service = new HostingService({ filePath: PROVIDERS_FILE });
+
+    test('every range in the file parses', () => {
+      const data = JSON.parse(fs.readFileSync(PROVIDERS_FILE, 'utf8'));
+      const ranges = data.providers.reduce((count, provider) => count + provider.ranges.length, 0);
+      const parsed = service.load().reduce((count, provider) => count + provider.ranges.length, 0);
+
+      expect(parsed).toBe(ranges);
+      expect(parsed).toBeGreaterThan(0);
+    });
+
+    test('classifies by IP range without ASN data', () => {
+      expect(service.classify('51.83.12.34')).toEqual({ provider: 'OVH', type: 'datacenter', matched_by: 'range' });
+      expect(service.classify('88.198.1.1')).toEqual({ provider: 'Hetzner', type: 'datacenter', matched_by: 'range' });
+    });
+
+    test('classifies by ASN', () => {
+      expect(service.classify('10.0.0.1', { asn: 5617 })).toEqual({ provider: 'Orange Polska', type: 'residential', matched_by: 'asn' });
+    });
+
+    test('matches AS organisation names from the start only', () => {
+      expect(service.classify('10.0.0.1', { hosting_provider: 'Netia SA' }))
+        .toEqual({ provider: 'Netia', type: 'residential', matched_by: 'name' });
+      expect(service.classify('10.0.0.1', { hosting_provider: 'UPC Polska Sp. z o.o.' }))
+        .toEqual({ provider: 'UPC Polska', type: 'residential', matched_by: 'name' });
+
+      expect(service.classify('10.0.0.1', { hosting_provider: 'Groupcorp Networks' }))
+        .toEqual({ provider: 'Groupcorp Networks', type: 'unknown', matched_by: null });
+      expect(service.classify('10.0.0.1', { hosting_provider: 'Akamai International B.V.' }).type).toBe('unknown');
+    });
+
+    test('returns nothing for unknown hosts without an AS organisation', () => {
+      expect(service.classify('10.0.0.1')).toEqual({ provider: null, type: null, matched_by: null });
+    });
+  });
+
+  describe('game host reselling datacenter space', () => {
+    let dir;
+    let service;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hosting-'));
+      const filePath = path.join(dir, 'providers.json');
+      fs.writeFileSync(filePath, JSON.stringify({
+        providers: [
+          { name: 'Example Host', type: 'game_host', asns: [], ranges: ['192.0.2.0/25'], patterns: ['^example host\\b'] },
+          { name: 'OVH', type: 'datacenter', asns: [16276], ranges: [], patterns: ['^ovh\\b'] }
+        ]
+      }));
+      service = new HostingService({ filePath });
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('a game host IP wins over the OVH ASN it is announced from', () => {
+      expect(service.classify('192.0.2.15', { asn: 16276, hosting_provider: 'OVH SAS' }))
+        .toEqual({ provider: 'Example Host', type: 'game_host', matched_by: 'range' });
+    });
+
+    test('addresses outside the game host range fall back to the ASN', () => {
+      expect(service.classify('192.0.2.200', { asn: 16276, hosting_provider: 'OVH SAS' }))
+        .toEqual({ provider: 'OVH', type: 'datacenter', matched_by: 'asn' });
+    });
+  });
+});
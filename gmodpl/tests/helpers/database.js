@@ -0,0 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Points the database singleton at a fresh file in a temp directory. Call it
+// before requiring anything from src/, since the connection reads DB_PATH on load.
+// Suites using it must not call jest.restoreAllMocks(), which would unmute the console.
+function useTestDatabase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gmodpl-test-'));
+  process.env.DB_PATH = path.join(dir, 'test.db');
+  const database = require('../../src/database');
+
+  // Every query logs, and connections log again when they close after a test ends
+  let spies = [];
+  beforeAll(async () => {
+    spies = ['log', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+    await database.initialize();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    spies.forEach(spy => spy.mockRestore());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  return database;
+}
+
+// SQLite timestamp for some minutes before now
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60000).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+module.exports = {
+  useTestDatabase,
+  minutesAgo
+};
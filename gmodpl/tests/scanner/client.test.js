@@ -0,0 +1,125 @@
+const dgram = require('dgram');
+const SourceQueryClient = require('../../src/scanner/client');
+
+const HEADER = Buffer.from([0xFF, 0xFF, 0xFF, 0xFF]);
+const TOKEN = Buffer.from([0x0A, 0x0B, 0x0C, 0x0D]);
+
+const challengeReply = () => Buffer.concat([HEADER, Buffer.from([0x41]), TOKEN]);
+const infoReply = () => Buffer.concat([HEADER, Buffer.from([0x49, 0x11]), Buffer.from('Fake Server\0', 'latin1')]);
+const playerReply = () => Buffer.concat([HEADER, Buffer.from([0x44, 0x00])]);
+
+// Fake game server on localhost; `handler` returns the reply for each request, or null to stay silent
+async function startFakeServer(handler) {
+  const socket = dgram.createSocket('udp4');
+  const requests = [];
+
+  socket.on('message', (msg, rinfo) => {
+    requests.push(msg);
+    const reply = handler(msg, requests.length);
+    if (reply) {
+      socket.send(reply, rinfo.port, rinfo.address);
+    }
+  });
+
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  return {
+    port: socket.address().port,
+    requests,
+    close: () => new Promise(resolve => socket.close(resolve))
+  };
+}
+
+const endsWithToken = msg => msg.slice(-4).equals(TOKEN);
+
+describe('SourceQueryClient', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  test('repeats A2S_INFO with the challenge token and caches it', async () => {
+    server = await startFakeServer(msg => (endsWithToken(msg) ? infoReply() : challengeReply()));
+    const client = new SourceQueryClient({ queryTimeout: 1000 });
+
+    const { response, latency } = await client.queryTimed('127.0.0.1', server.port, 'info');
+
+    expect(response[4]).toBe(0x49);
+    expect(latency).toBeGreaterThanOrEqual(0);
+    expect(server.requests).toHaveLength(2);
+    expect(server.requests[0].toString('latin1', 5)).toBe('Source Engine Query\0');
+    expect(endsWithToken(server.requests[1])).toBe(true);
+    expect(client.getStats()).toMatchObject({ challengesReceived: 1, cachedChallenges: 1 });
+
+    // The cached token is sent straight away on the next query
+    await client.query('127.0.0.1', server.port, 'info');
+    expect(server.requests).toHaveLength(3);
+    expect(endsWithToken(server.requests[2])).toBe(true);
+    expect(client.getStats().challengeCacheHits).toBe(1);
+  });
+
+  test('starts A2S_PLAYER with the no-challenge token', async () => {
+    server = await startFakeServer(msg => (endsWithToken(msg) ? playerReply() : challengeReply()));
+    const client = new SourceQueryClient({ queryTimeout: 1000 });
+
+    const response = await client.query('127.0.0.1', server.port, 'player');
+
+    expect(response[4]).toBe(0x44);
+    expect(server.requests[0]).toEqual(Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0x55, 0xFF, 0xFF, 0xFF, 0xFF]));
+    expect(server.requests[1]).toEqual(Buffer.concat([HEADER, Buffer.from([0x55]), TOKEN]));
+  });
+
+  test('gives up after three challenge replies and drops the cached token', async () => {
+    server = await startFakeServer(() => challengeReply());
+    const client = new SourceQueryClient({ queryTimeout: 1000 });
+
+    await expect(client.query('127.0.0.1', server.port, 'info'))
+      .rejects.toThrow('Server kept answering with challenges after 3 attempts');
+    expect(server.requests).toHaveLength(3);
+    expect(client.getStats().cachedChallenges).toBe(0);
+  });
+
+  test('does not reuse an expired challenge token', async () => {
+    server = await startFakeServer(msg => (endsWithToken(msg) ? infoReply() : challengeReply()));
+    const client = new SourceQueryClient({ queryTimeout: 1000, challengeTTL: 1000 });
+    const now = jest.spyOn(Date, 'now');
+
+    try {
+      now.mockReturnValue(1000000);
+      await client.query('127.0.0.1', server.port, 'info');
+
+      now.mockReturnValue(1000000 + 1001);
+      await client.query('127.0.0.1', server.port, 'info');
+    } finally {
+      now.mockRestore();
+    }
+
+    expect(server.requests).toHaveLength(4);
+    expect(endsWithToken(server.requests[2])).toBe(false);
+    expect(client.getStats()).toMatchObject({ challengesReceived: 2, challengeCacheHits: 0 });
+  });
+
+  test('rejects a reply of the wrong type', async () => {
+    server = await startFakeServer(() => playerReply());
+    const client = new SourceQueryClient({ queryTimeout: 1000 });
+
+    await expect(client.query('127.0.0.1', server.port, 'info'))
+      .rejects.toThrow('Unexpected response type 0x44 for info query');
+  });
+
+  test('times out when the server never answers', async () => {
+    server = await startFakeServer(() => null);
+    const client = new SourceQueryClient({ queryTimeout: 100 });
+
+    await expect(client.query('127.0.0.1', server.port, 'info')).rejects.toThrow('Query timeout');
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('rejects unknown query types before sending anything', async () => {
+    const client = new SourceQueryClient();
+    await expect(client.query('127.0.0.1', 27015, 'ping')).rejects.toThrow('Unknown query type: ping');
+  });
+});
@@ -0,0 +1,120 @@
+const dgram = require('dgram');
+const MasterServerClient = require('../../src/scanner/master');
+
+const RESPONSE_HEADER = Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0x66, 0x0A]);
+
+function encodeAddress(address) {
+  const [ip, port] = address.split(':');
+  const buffer = Buffer.alloc(6);
+  ip.split('.').forEach((octet, index) => buffer.writeUInt8(Number(octet), index));
+  buffer.writeUInt16BE(Number(port), 4);
+  return buffer;
+}
+
+const pageReply = addresses => Buffer.concat([RESPONSE_HEADER, ...addresses.map(encodeAddress)]);
+
+// 0x31, region byte, then the seed address and the filter as null-terminated strings
+function parseRequest(msg) {
+  const [seed, filter] = msg.toString('latin1', 2).split('\0');
+  return { type: msg[0], region: msg[1], seed, filter };
+}
+
+// Fake master server on localhost; `pages` maps a seed to the addresses returned after it
+async function startFakeMaster(pages, options = {}) {
+  const socket = dgram.createSocket('udp4');
+  const requests = [];
+
+  socket.on('message', (msg, rinfo) => {
+    const request = parseRequest(msg);
+    requests.push(request);
+    if (options.silentAfter && requests.length > options.silentAfter) {
+      return;
+    }
+    const addresses = pages[request.seed];
+    if (addresses) {
+      socket.send(pageReply(addresses), rinfo.port, rinfo.address);
+    }
+  });
+
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  return {
+    port: socket.address().port,
+    requests,
+    close: () => new Promise(resolve => socket.close(resolve))
+  };
+}
+
+const PAGES = {
+  '0.0.0.0:0': ['192.0.2.1:27015', '192.0.2.2:27015', '192.0.2.3:27016'],
+  // Masters repeat the seed address at the start of the next page
+  '192.0.2.3:27016': ['192.0.2.3:27016', '198.51.100.7:27015', '0.0.0.0:0']
+};
+
+describe('MasterServerClient', () => {
+  let master;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (master) {
+      await master.close();
+      master = null;
+    }
+  });
+
+  const createClient = (options = {}) => new MasterServerClient({
+    host: '127.0.0.1', port: master.port, minRequestInterval: 0, requestTimeout: 200, ...options
+  });
+
+  test('pages with the last address as the next seed until the terminator', async () => {
+    master = await startFakeMaster(PAGES);
+    const client = createClient();
+
+    const servers = await client.discover({ region: 'europe' });
+
+    expect(servers).toEqual(['192.0.2.1:27015', '192.0.2.2:27015', '192.0.2.3:27016', '198.51.100.7:27015']);
+    expect(master.requests.map(request => request.seed)).toEqual(['0.0.0.0:0', '192.0.2.3:27016']);
+    expect(client.getStats()).toMatchObject({ pages: 2, lastDiscovered: 4, lastCompleted: true });
+  });
+
+  test('sends the query type, region byte and filter string', async () => {
+    master = await startFakeMaster(PAGES);
+    const client = createClient();
+
+    await client.discover({ region: 'europe', filters: { gamedir: 'garrysmod', empty: true, gametype: ['darkrp', 'ttt'] } });
+    await client.discover();
+
+    const [europe, , all] = master.requests;
+    expect(europe).toEqual({ type: 0x31, region: 0x03, seed: '0.0.0.0:0', filter: '\\gamedir\\garrysmod\\empty\\1\\gametype\\darkrp,ttt' });
+    expect(all).toEqual({ type: 0x31, region: 0xFF, seed: '0.0.0.0:0', filter: '\\gamedir\\garrysmod' });
+  });
+
+  test('stops paging once maxServers is reached', async () => {
+    master = await startFakeMaster(PAGES);
+    const client = createClient();
+
+    expect(await client.discover({ maxServers: 2 })).toEqual(['192.0.2.1:27015', '192.0.2.2:27015']);
+    expect(master.requests).toHaveLength(1);
+  });
+
+  test('keeps the first page when the master stops answering', async () => {
+    master = await startFakeMaster(PAGES, { silentAfter: 1 });
+    const client = createClient({ maxRetries: 2 });
+
+    const servers = await client.discover();
+
+    expect(servers).toHaveLength(3);
+    // One request for page 1, then both attempts at page 2 time out
+    expect(master.requests).toHaveLength(3);
+    expect(client.getStats()).toMatchObject({ timeouts: 2, lastCompleted: false });
+  });
+
+  test('rejects unknown region names', () => {
+    expect(() => new MasterServerClient().resolveRegion('antarctica')).toThrow('Unknown master server region: antarctica');
+    expect(new MasterServerClient().resolveRegion(0x01)).toBe(0x01);
+  });
+});
@@ -0,0 +1,179 @@
+const dgram = require('dgram');
+const SplitPacketAssembler = require('../../src/scanner/packets');
+const SourceQueryClient = require('../../src/scanner/client');
+
+const HEADER = Buffer.from([0xFF, 0xFF, 0xFF, 0xFF]);
+
+// A2S_RULES reply with two convars
+const RULES_RESPONSE = Buffer.concat([
+  HEADER,
+  Buffer.from([0x45, 0x02, 0x00]),
+  Buffer.from('sv_downloadurl\0http://fastdl.example.pl/\0sv_contact\0admin@example.pl\0', 'latin1')
+]);
+
+// RULES_RESPONSE compressed with bzip2 (bz2.compress in Python)
+const RULES_BZIP2 = Buffer.from(
+  '425a6839314159265359a873a2a70000265f80d0000001801042000000af67dfc00000a00040d53ca3236a6262699a8f50a343400000366af71c0a60a0ef2e9e843c30bd6cf23288b5a4995eb05a50d02b564afa4c44324c6f16e19351150da43f177245385090a873a2a7',
+  'hex'
+);
+
+// One 0xFFFFFFFE datagram; sizeField adds the 2-byte max packet size newer engines send
+function fragment(id, total, number, payload, { sizeField = true, compressed = false } = {}) {
+  const header = Buffer.alloc(10);
+  header.writeInt32LE(-2, 0);
+  header.writeUInt32LE(((compressed ? 0x80000000 : 0) | id) >>> 0, 4);
+  header[8] = total;
+  header[9] = number;
+
+  const size = Buffer.alloc(sizeField ? 2 : 0);
+  if (sizeField) {
+    size.writeUInt16LE(1248, 0);
+  }
+
+  return Buffer.concat([header, size, payload]);
+}
+
+function splitInto(buffer, count) {
+  const chunk = Math.ceil(buffer.length / count);
+  return Array.from({ length: count }, (_, i) => buffer.slice(i * chunk, (i + 1) * chunk));
+}
+
+function compressedFragments(id, { size = RULES_RESPONSE.length, crc } = {}) {
+  const assembler = new SplitPacketAssembler();
+  const info = Buffer.alloc(8);
+  info.writeUInt32LE(size, 0);
+  info.writeUInt32LE(crc !== undefined ? crc : assembler.crc32(RULES_RESPONSE), 4);
+
+  const [first, second] = splitInto(RULES_BZIP2, 2);
+  return [
+    fragment(id, 2, 0, Buffer.concat([info, first]), { compressed: true }),
+    fragment(id, 2, 1, second, { compressed: true })
+  ];
+}
+
+describe('SplitPacketAssembler', () => {
+  test('passes single-packet responses through unchanged', () => {
+    const assembler = new SplitPacketAssembler();
+    expect(assembler.add(RULES_RESPONSE)).toBe(RULES_RESPONSE);
+  });
+
+  test.each([
+    ['with the packet size field', true],
+    ['without the packet size field', false]
+  ])('reassembles out-of-order fragments %s', (_, sizeField) => {
+    const assembler = new SplitPacketAssembler();
+    const parts = splitInto(RULES_RESPONSE, 3).map((part, i) => fragment(7, 3, i, part, { sizeField }));
+
+    expect(assembler.add(parts[2])).toBeNull();
+    expect(assembler.add(parts[0])).toBeNull();
+    expect(assembler.add(parts[0])).toBeNull(); // Duplicate datagram
+    expect(assembler.add(parts[1])).toEqual(RULES_RESPONSE);
+    expect(assembler.pending.size).toBe(0);
+  });
+
+  test('keeps waiting while a fragment is missing', () => {
+    const assembler = new SplitPacketAssembler();
+    const parts = splitInto(RULES_RESPONSE, 3).map((part, i) => fragment(7, 3, i, part));
+
+    expect(assembler.add(parts[0])).toBeNull();
+    expect(assembler.add(parts[2])).toBeNull();
+    expect(assembler.pending.get(7).fragments.size).toBe(2);
+  });
+
+  test('keeps responses with different packet IDs apart', () => {
+    const assembler = new SplitPacketAssembler();
+    const a = splitInto(RULES_RESPONSE, 2).map((part, i) => fragment(1, 2, i, part));
+    const b = splitInto(RULES_RESPONSE, 2).map((part, i) => fragment(2, 2, i, part));
+
+    expect(assembler.add(a[0])).toBeNull();
+    expect(assembler.add(b[1])).toBeNull();
+    expect(assembler.add(b[0])).toEqual(RULES_RESPONSE);
+    expect(assembler.add(a[1])).toEqual(RULES_RESPONSE);
+  });
+
+  test('rejects malformed fragments', () => {
+    const assembler = new SplitPacketAssembler();
+
+    expect(() => assembler.add(Buffer.from([0xFE, 0xFF, 0xFF, 0xFF, 0x01]))).toThrow('Split packet too short');
+    expect(() => assembler.add(fragment(1, 2, 2, Buffer.from('x')))).toThrow('Invalid split packet numbering 2/2');
+    expect(() => assembler.add(fragment(1, 0, 0, Buffer.from('x')))).toThrow('Invalid split packet numbering 0/0');
+    expect(() => assembler.add(fragment(3, 1, 0, Buffer.from('garbage payload')))).toThrow('Unable to determine split packet format');
+  });
+
+  test('decompresses bzip2 responses and checks their CRC32', () => {
+    const assembler = new SplitPacketAssembler();
+    const [first, second] = compressedFragments(9);
+
+    expect(assembler.add(second)).toBeNull();
+    expect(assembler.add(first)).toEqual(RULES_RESPONSE);
+  });
+
+  test('rejects compressed responses with a CRC32 mismatch', () => {
+    const assembler = new SplitPacketAssembler();
+    const crc = (assembler.crc32(RULES_RESPONSE) ^ 1) >>> 0;
+    const [first, second] = compressedFragments(9, { crc });
+
+    assembler.add(first);
+    expect(() => assembler.add(second)).toThrow('Decompressed split response failed CRC32 check');
+  });
+
+  test('rejects compressed responses with a size mismatch', () => {
+    const assembler = new SplitPacketAssembler();
+    const [first, second] = compressedFragments(9, { size: RULES_RESPONSE.length + 1 });
+
+    assembler.add(first);
+    expect(() => assembler.add(second)).toThrow(`Decompressed size mismatch: expected ${RULES_RESPONSE.length + 1}, got ${RULES_RESPONSE.length}`);
+  });
+
+  test('rejects corrupt bzip2 data', () => {
+    const assembler = new SplitPacketAssembler();
+    const info = Buffer.alloc(8);
+    info.writeUInt32LE(RULES_RESPONSE.length, 0);
+    const corrupt = Buffer.concat([RULES_BZIP2.slice(0, 20), Buffer.alloc(20, 0xAA)]);
+
+    expect(() => assembler.add(fragment(4, 1, 0, Buffer.concat([info, corrupt]), { compressed: true })))
+      .toThrow(/^Failed to decompress split response/);
+  });
+
+  test('computes the standard CRC32', () => {
+    expect(new SplitPacketAssembler().crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+  });
+});
+
+describe('split responses over UDP', () => {
+  let socket;
+
+  afterEach(async () => {
+    await new Promise(resolve => socket.close(resolve));
+  });
+
+  // Answers every A2S_RULES request with the given fragments, in the given order
+  async function startFakeServer(fragments) {
+    socket = dgram.createSocket('udp4');
+    socket.on('message', (msg, rinfo) => {
+      for (const part of fragments) {
+        socket.send(part, rinfo.port, rinfo.address);
+      }
+    });
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    return socket.address().port;
+  }
+
+  test('the client reassembles fragments arriving out of order', async () => {
+    const parts = splitInto(RULES_RESPONSE, 3).map((part, i) => fragment(5, 3, i, part));
+    const port = await startFakeServer([parts[1], parts[2], parts[0]]);
+    const client = new SourceQueryClient({ queryTimeout: 1000 });
+
+    await expect(client.query('127.0.0.1', port, 'rules')).resolves.toEqual(RULES_RESPONSE);
+    expect(client.getStats()).toMatchObject({ splitResponses: 1, splitFragments: 2 });
+  });
+
+  test('the client times out when a fragment never arrives', async () => {
+    const parts = splitInto(RULES_RESPONSE, 3).map((part, i) => fragment(5, 3, i, part));
+    const port = await startFakeServer([parts[0], parts[2]]);
+    const client = new SourceQueryClient({ queryTimeout: 150 });
+
+    await expect(client.query('127.0.0.1', port, 'rules')).rejects.toThrow('Query timeout');
+    expect(client.getStats().splitFragments).toBe(2);
+  });
+});
@@ -0,0 +1,37 @@
+const { DiscoveryProvider, DiscoveryProviderRegistry } = require('../../src/scanner/providers');
+
+describe('DiscoveryProviderRegistry', () => {
+  let log;
+  let registry;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    registry = new DiscoveryProviderRegistry();
+    registry.register(new DiscoveryProvider('static'));
+    registry.register(new DiscoveryProvider('steam_master'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('disables providers listed by name', () => {
+    registry.disableByNames(' steam_master ,');
+
+    expect(registry.get('steam_master').enabled).toBe(false);
+    expect(registry.get('static').enabled).toBe(true);
+  });
+
+  test('warns about names that match no provider', () => {
+    registry.disableByNames('stema_master,static');
+
+    expect(registry.get('steam_master').enabled).toBe(true);
+    expect(registry.get('static').enabled).toBe(false);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Unknown discovery provider "stema_master"'));
+  });
+
+  test('ignores an empty list', () => {
+    registry.disableByNames(undefined);
+    expect(log).not.toHaveBeenCalledWith(expect.stringContaining('Unknown discovery provider'));
+  });
+});
@@ -0,0 +1,166 @@
+const { useTestDatabase } = require('../helpers/database');
+const database = useTestDatabase();
+const CommunityService = require('../../src/servers/communities');
+
+// Names made only of generic words, so they never share a name prefix key
+async function addServer(ip, port, name = 'DarkRP', options = {}) {
+  const result = await database.executeWithRetry(
+    'INSERT INTO servers (ip, port, name, hosting_type) VALUES (?, ?, ?, ?)',
+    [ip, port, name, options.hosting_type || null]
+  );
+  if (options.download_url) {
+    await database.executeWithRetry(
+      "INSERT INTO server_rules (server_id, rule_name, rule_value) VALUES (?, 'sv_downloadurl', ?)",
+      [result.lastID, options.download_url]
+    );
+  }
+  return result.lastID;
+}
+
+async function pin(serverId, name) {
+  const community = await database.executeWithRetry('INSERT INTO communities (name, is_manual) VALUES (?, 1)', [name]);
+  await database.executeWithRetry(
+    "INSERT INTO community_servers (server_id, community_id, assigned_by) VALUES (?, ?, 'manual')",
+    [serverId, community.lastID]
+  );
+  return community.lastID;
+}
+
+const communityOf = async serverId => (await database.get(
+  'SELECT community_id FROM community_servers WHERE server_id = ?', [serverId]
+))?.community_id;
+
+describe('CommunityService', () => {
+  const service = new CommunityService({ maxServersPerKey: 3 });
+
+  beforeAll(() => {
+    // Failing statements are retried with 1-4s pauses otherwise
+    database.connection.retryDelays = [0, 0, 0];
+  });
+
+  beforeEach(async () => {
+    for (const table of ['community_servers', 'communities', 'server_rules', 'servers']) {
+      await database.executeWithRetry(`DELETE FROM ${table}`);
+    }
+  });
+
+  describe('regroup', () => {
+    test('groups servers sharing an IP, except on game hosts', async () => {
+      const own = [await addServer('192.0.2.10', 27015), await addServer('192.0.2.10', 27016), await addServer('192.0.2.10', 27017)];
+      const hosted = [
+        await addServer('192.0.2.20', 27015, 'DarkRP', { hosting_type: 'game_host' }),
+        await addServer('192.0.2.20', 27016, 'TTT', { hosting_type: 'game_host' })
+      ];
+
+      const result = await service.regroup();
+
+      expect(result).toMatchObject({ servers: 5, communities: 3, created: 3 });
+      const ownCommunity = await communityOf(own[0]);
+      expect(await communityOf(own[1])).toBe(ownCommunity);
+      expect(await communityOf(own[2])).toBe(ownCommunity);
+      expect(await database.get('SELECT grouped_by FROM communities WHERE id = ?', [ownCommunity])).toEqual({ grouped_by: 'ip' });
+      expect(await communityOf(hosted[0])).not.toBe(await communityOf(hosted[1]));
+    });
+
+    test('ignores keys shared by more than maxServersPerKey servers', async () => {
+      const download = { download_url: 'https://fastdl.example.pl/garrysmod/' };
+      const reseller = [];
+      for (let i = 1; i <= 4; i++) {
+        reseller.push(await addServer(`192.0.2.${30 + i}`, 27015, 'DarkRP', download));
+      }
+      const linked = [
+        await addServer('192.0.2.41', 27015, 'TTT | discord.gg/KrakenPL'),
+        await addServer('192.0.2.42', 27015, 'Murder | discord.gg/krakenpl')
+      ];
+
+      await service.regroup();
+
+      const resellerCommunities = new Set(await Promise.all(reseller.map(communityOf)));
+      expect(resellerCommunities.size).toBe(4);
+      expect(await communityOf(linked[0])).toBe(await communityOf(linked[1]));
+    });
+
+    test('keeps manual pins across regroups', async () => {
+      const pinned = await addServer('192.0.2.50', 27015);
+      const manualId = await pin(pinned, 'KrakenRP');
+      const sibling = await addServer('192.0.2.50', 27016);
+      // Pinned elsewhere despite the shared IP, so the sibling is linked to two manual communities
+      const moved = await addServer('192.0.2.50', 27017);
+      const otherId = await pin(moved, 'Other');
+
+      await service.regroup();
+      await service.regroup();
+
+      expect(await communityOf(pinned)).toBe(manualId);
+      expect(await communityOf(moved)).toBe(otherId);
+      expect([manualId, otherId]).not.toContain(await communityOf(sibling));
+      expect(await database.get('SELECT name, is_manual FROM communities WHERE id = ?', [manualId])).toEqual({ name: 'KrakenRP', is_manual: 1 });
+    });
+
+    test('an automatic server joins the only manual community it is linked to', async () => {
+      const pinned = await addServer('192.0.2.60', 27015);
+      const manualId = await pin(pinned, 'KrakenRP');
+      const sibling = await addServer('192.0.2.60', 27016);
+
+      await service.regroup();
+
+      expect(await communityOf(sibling)).toBe(manualId);
+      expect(await database.get('SELECT assigned_by FROM community_servers WHERE server_id = ?', [sibling])).toEqual({ assigned_by: 'auto' });
+    });
+  });
+
+  describe('merge and split', () => {
+    let first;
+    let second;
+
+    beforeEach(async () => {
+      first = [await addServer('192.0.2.70', 27015), await addServer('192.0.2.70', 27016), await addServer('192.0.2.70', 27017)];
+      second = [await addServer('192.0.2.71', 27015)];
+      await service.regroup();
+    });
+
+    test('merge moves every server into the first community and pins them', async () => {
+      const targetId = await communityOf(first[0]);
+      const sourceId = await communityOf(second[0]);
+
+      const community = await service.merge([targetId, sourceId], 'KrakenRP');
+
+      expect(community).toMatchObject({ id: targetId, name: 'KrakenRP', is_manual: 1 });
+      expect(await communityOf(second[0])).toBe(targetId);
+      expect(await database.get('SELECT id FROM communities WHERE id = ?', [sourceId])).toBeUndefined();
+      expect(await database.all('SELECT DISTINCT assigned_by FROM community_servers')).toEqual([{ assigned_by: 'manual' }]);
+    });
+
+    test('merge leaves everything in place when a community does not exist', async () => {
+      const targetId = await communityOf(first[0]);
+
+      await expect(service.merge([targetId, 9999])).rejects.toThrow('Community not found: 9999');
+
+      expect(await database.get('SELECT is_manual FROM communities WHERE id = ?', [targetId])).toEqual({ is_manual: 0 });
+      expect(await database.all('SELECT DISTINCT assigned_by FROM community_servers')).toEqual([{ assigned_by: 'auto' }]);
+    });
+
+    test('split moves servers into a new community and pins the rest', async () => {
+      const sourceId = await communityOf(first[0]);
+
+      const { source, created } = await service.split(sourceId, [first[2]], 'KrakenRP TTT');
+
+      expect(created).toMatchObject({ name: 'KrakenRP TTT', is_manual: 1 });
+      expect(await communityOf(first[2])).toBe(created.id);
+      expect(source).toMatchObject({ id: sourceId, is_manual: 1 });
+
+      // Regrouping does not join them again
+      await service.regroup();
+      expect(await communityOf(first[0])).toBe(sourceId);
+      expect(await communityOf(first[2])).toBe(created.id);
+    });
+
+    test('split rejects servers from another community and emptying the source', async () => {
+      const sourceId = await communityOf(first[0]);
+
+      await expect(service.split(sourceId, [second[0]])).rejects.toThrow('Invalid split');
+      await expect(service.split(sourceId, first)).rejects.toThrow('at least one server has to stay');
+      expect(await database.get('SELECT COUNT(*) AS count FROM communities')).toEqual({ count: 2 });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const { useTestDatabase, minutesAgo } = require('../helpers/database');
+const database = useTestDatabase();
+const ServerContinuityService = require('../../src/servers/continuity');
+
+const DAY = 24 * 60;
+const SERVER_STEAM_ID = '90071996842377216';
+
+async function addServer(ip, server = {}) {
+  const result = await database.executeWithRetry(`
+    INSERT INTO servers (ip, port, name, steam_id, max_players, is_active, first_seen, last_seen)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    ip, server.port || 27015, server.name, server.steam_id || null, server.max_players || 32,
+    server.is_active === undefined ? 1 : server.is_active,
+    minutesAgo(server.firstSeen || 10 * DAY), minutesAgo(server.lastSeen || 0)
+  ]);
+  return result.lastID;
+}
+
+const count = async (sql, params) => (await database.get(sql, params)).count;
+
+describe('ServerContinuityService', () => {
+  const service = new ServerContinuityService({ autoApplyThreshold: 0.85, proposeThreshold: 0.5 });
+
+  beforeAll(() => {
+    // Failing statements are retried with 1-4s pauses otherwise
+    database.connection.retryDelays = [0, 0, 0];
+  });
+
+  describe('scorePair', () => {
+    const rules = { sv_downloadurl: 'https://fastdl.krakenrp.pl/', sv_contact: 'admin@krakenrp.pl' };
+
+    test('a shared server SteamID with the same name and rules scores 1', () => {
+      const old = { name: 'KrakenRP | DarkRP', steam_id: SERVER_STEAM_ID, rules };
+      expect(service.scorePair(old, { ...old })).toEqual({ score: 1, reasons: { steam_id: true, name: 1, rules: 1 } });
+    });
+
+    test('without a SteamID, rules weigh in with the name', () => {
+      const match = service.scorePair({ name: 'KrakenRP | DarkRP', rules }, { name: 'KrakenRP | DarkRP', rules: { ...rules, sv_contact: 'other@example.com' } });
+      expect(match.reasons).toEqual({ steam_id: false, name: 1, rules: 0.5 });
+      expect(match.score).toBe(0.775);
+    });
+
+    test('a name alone never reaches the auto-merge threshold', () => {
+      const match = service.scorePair({ name: 'Murder Polska', rules: {} }, { name: 'Murder Polska', rules: {} });
+      expect(match).toEqual({ score: 0.5, reasons: { steam_id: false, name: 1, rules: null } });
+      expect(match.score).toBeLessThan(service.autoApplyThreshold);
+    });
+
+    test('unrelated names score low', () => {
+      expect(service.scorePair({ name: 'Zombie Survival PL', rules: {} }, { name: 'TTT Minecraft', rules: {} }).score).toBeLessThan(0.25);
+    });
+  });
+
+  describe('detect', () => {
+    test('merges strong matches, proposes weak ones and skips overlapping or dissimilar pairs', async () => {
+      // Moved two days ago, same SteamID and name - merged automatically
+      const moved = await addServer('192.0.2.1', { name: 'KrakenRP | DarkRP', steam_id: SERVER_STEAM_ID, is_active: 0, lastSeen: 2 * DAY });
+      const movedTo = await addServer('192.0.2.2', { name: 'KrakenRP | DarkRP', steam_id: SERVER_STEAM_ID, firstSeen: 2 * DAY + 30 });
+      // Same name only - proposed for review
+      const renamedHost = await addServer('192.0.2.3', { name: 'Murder Polska', is_active: 0, lastSeen: 3 * DAY });
+      const renamedHostTo = await addServer('192.0.2.4', { name: 'Murder Polska', firstSeen: 3 * DAY });
+      // The old address kept answering for a day after the new one appeared
+      await addServer('192.0.2.5', { name: 'Jailbreak PL', is_active: 0, lastSeen: 4 * DAY });
+      await addServer('192.0.2.6', { name: 'Jailbreak PL', firstSeen: 5 * DAY });
+      // Below the proposal threshold
+      await addServer('192.0.2.7', { name: 'Zombie Survival PL', is_active: 0, lastSeen: 6 * DAY });
+      await addServer('192.0.2.8', { name: 'TTT Minecraft', firstSeen: 6 * DAY });
+
+      const result = await service.detect();
+
+      expect(result).toMatchObject({ proposed: 2, applied: 1 });
+      expect(await database.get('SELECT id, ip FROM servers WHERE id = ?', [moved])).toEqual({ id: moved, ip: '192.0.2.2' });
+      expect(await database.get('SELECT id FROM servers WHERE id = ?', [movedTo])).toBeUndefined();
+
+      const candidates = await service.listCandidates({ status: 'proposed' });
+      expect(candidates.map(candidate => [candidate.old_server_id, candidate.new_server_id])).toEqual([[renamedHost, renamedHostTo]]);
+
+      // A rejected pair is not proposed again
+      await service.rejectCandidate(candidates[0].id);
+      expect(await service.detect()).toMatchObject({ proposed: 0 });
+    });
+  });
+
+  describe('merge', () => {
+    let run = 0;
+    let oldIp;
+    let newIp;
+    let oldId;
+    let newId;
+
+    beforeEach(async () => {
+      run++;
+      oldIp = `198.51.100.${run * 2}`;
+      newIp = `198.51.100.${run * 2 + 1}`;
+      oldId = await addServer(oldIp, { name: 'Old Name', max_players: 32, is_active: 0, lastSeen: DAY });
+      newId = await addServer(newIp, { name: 'New Name', max_players: 64, firstSeen: DAY });
+
+      for (const serverId of [oldId, newId]) {
+        await database.executeWithRetry('INSERT INTO server_snapshots (server_id, player_count, map) VALUES (?, 5, ?)', [serverId, 'gm_construct']);
+        await database.executeWithRetry('INSERT INTO server_status_events (server_id, event_type) VALUES (?, ?)', [serverId, 'online']);
+        await database.executeWithRetry("INSERT INTO server_rules (server_id, rule_name, rule_value) VALUES (?, 'sv_contact', ?)", [serverId, `contact-${serverId}`]);
+      }
+      await database.executeWithRetry("INSERT INTO server_rules (server_id, rule_name, rule_value) VALUES (?, 'sv_location', 'pl')", [oldId]);
+
+      const identity = await database.executeWithRetry('INSERT INTO player_identities (pseudonym) VALUES (?)', [`Gracz-${run}`]);
+      for (const serverId of [oldId, newId]) {
+        await database.executeWithRetry(
+          "INSERT INTO player_aliases (identity_id, server_id, name, name_key) VALUES (?, ?, 'Kowalski', 'kowalski')",
+          [identity.lastID, serverId]
+        );
+      }
+      await database.executeWithRetry('INSERT INTO sessions (server_id, player_name) VALUES (?, ?)', [newId, 'Kowalski']);
+
+      const community = await database.executeWithRetry("INSERT INTO communities (name) VALUES ('KrakenRP')");
+      await database.executeWithRetry('INSERT INTO community_servers (server_id, community_id) VALUES (?, ?)', [newId, community.lastID]);
+    });
+
+    test('moves every row onto the old id with foreign keys enforced', async () => {
+      const server = await service.mergeManually(oldId, newId);
+
+      expect(server).toMatchObject({ id: oldId, ip: newIp, name: 'New Name', max_players: 64, is_active: 1 });
+      expect(await count('SELECT COUNT(*) AS count FROM servers WHERE id = ?', [newId])).toBe(0);
+
+      for (const table of ['server_snapshots', 'server_status_events', 'sessions', 'community_servers']) {
+        expect(await count(`SELECT COUNT(*) AS count FROM ${table} WHERE server_id = ?`, [newId])).toBe(0);
+      }
+      expect(await count('SELECT COUNT(*) AS count FROM server_snapshots WHERE server_id = ?', [oldId])).toBe(2);
+      expect(await count('SELECT COUNT(*) AS count FROM sessions WHERE server_id = ?', [oldId])).toBe(1);
+      expect(await count('SELECT COUNT(*) AS count FROM player_aliases WHERE server_id = ?', [oldId])).toBe(1);
+      expect(await database.all('SELECT rule_name, rule_value FROM server_rules WHERE server_id = ? ORDER BY rule_name', [oldId])).toEqual([
+        { rule_name: 'sv_contact', rule_value: `contact-${newId}` },
+        { rule_name: 'sv_location', rule_value: 'pl' }
+      ]);
+
+      expect(await service.getAliases(oldId)).toEqual([expect.objectContaining({ ip: oldIp, port: 27015 })]);
+      expect(await service.resolveAddress(oldIp, 27015)).toBe(oldId);
+      expect((await database.all('SELECT field FROM server_changes WHERE server_id = ? ORDER BY field', [oldId])).map(row => row.field))
+        .toEqual(['max_players', 'name']);
+      expect(await database.get('SELECT status, decided_by FROM server_merge_candidates WHERE old_server_id = ? AND new_server_id = ?', [oldId, newId]))
+        .toEqual({ status: 'applied', decided_by: 'manual' });
+
+      expect(await database.all('PRAGMA foreign_key_check')).toEqual([]);
+    });
+
+    test('rolls everything back when a statement fails halfway', async () => {
+      // Runs after the child rows were moved, just before the new row is deleted
+      await database.executeWithRetry(`
+        CREATE TRIGGER fail_merge BEFORE DELETE ON servers WHEN old.id = ${newId}
+        BEGIN SELECT RAISE(ABORT, 'merge interrupted'); END
+      `);
+
+      try {
+        await expect(service.merge(oldId, newId)).rejects.toThrow('merge interrupted');
+      } finally {
+        await database.executeWithRetry('DROP TRIGGER fail_merge');
+      }
+
+      expect(await database.get('SELECT ip, name FROM servers WHERE id = ?', [oldId])).toEqual({ ip: oldIp, name: 'Old Name' });
+      expect(await count('SELECT COUNT(*) AS count FROM server_snapshots WHERE server_id = ?', [newId])).toBe(1);
+      expect(await count('SELECT COUNT(*) AS count FROM community_servers WHERE server_id = ?', [newId])).toBe(1);
+      expect(await count('SELECT COUNT(*) AS count FROM server_aliases WHERE server_id = ?', [oldId])).toBe(0);
+    });
+
+    test('rejects merging a server into itself', async () => {
+      await expect(service.merge(oldId, oldId)).rejects.toThrow('Invalid merge');
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const { normalizeGamemode, parseGamemodeTag } = require('../../src/servers/gamemodes');
+
+describe('gamemodes', () => {
+  test('parses the gm: keyword into the canonical gamemode', () => {
+    expect(parseGamemodeTag('gm:terrortown gmws:123 loc:pl')).toEqual({ folder: 'terrortown', gamemode: 'ttt', known: true });
+    expect(parseGamemodeTag('loc:pl,gm:Prop_Hunt')).toEqual({ folder: 'prop_hunt', gamemode: 'prophunt', known: true });
+    expect(parseGamemodeTag('gm:darkrp')).toEqual({ folder: 'darkrp', gamemode: 'darkrp', known: true });
+  });
+
+  test('keeps unknown folders as they are, lowercased', () => {
+    expect(parseGamemodeTag('gm:StarWarsRP')).toEqual({ folder: 'starwarsrp', gamemode: 'starwarsrp', known: false });
+  });
+
+  test('ignores tags without a gm: keyword', () => {
+    expect(parseGamemodeTag('gmws:123 loc:pl')).toBeNull();
+    expect(parseGamemodeTag('xgm:darkrp')).toBeNull();
+    expect(parseGamemodeTag(null)).toBeNull();
+  });
+
+  test('normalizes gamemode rule values', () => {
+    expect(normalizeGamemode('TerrorTown')).toBe('ttt');
+    expect(normalizeGamemode(' sandbox ')).toBe('sandbox');
+    expect(normalizeGamemode('Unknown')).toBeNull();
+    expect(normalizeGamemode(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+const { useTestDatabase, minutesAgo } = require('../helpers/database');
+const database = useTestDatabase();
+const MapAnalyticsService = require('../../src/servers/maps');
+
+async function addServer(port) {
+  const result = await database.executeWithRetry('INSERT INTO servers (ip, port, name) VALUES (?, ?, ?)', ['10.0.0.1', port, `Server ${port}`]);
+  return result.lastID;
+}
+
+async function addSnapshot(serverId, minutes, map, options = {}) {
+  await database.executeWithRetry(`
+    INSERT INTO server_snapshots (server_id, snapshot_time, player_count, map, gamemode, gamemode_confidence)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [serverId, minutesAgo(minutes), options.players || 0, map, options.gamemode || null, options.gamemode ? 1 : 0]);
+}
+
+describe('MapAnalyticsService', () => {
+  describe('getRotation', () => {
+    test('starts a new run on a map change or a gap over maxGapMinutes', async () => {
+      const serverId = await addServer(27015);
+      await addSnapshot(serverId, 120, 'gm_construct', { players: 4 });
+      await addSnapshot(serverId, 115, 'Unknown');
+      await addSnapshot(serverId, 110, 'gm_construct', { players: 8 });
+      await addSnapshot(serverId, 105, 'rp_downtown_v4c', { players: 20 });
+      await addSnapshot(serverId, 100, 'rp_downtown_v4c', { players: 22 });
+      // 60 minutes without a snapshot - the server was down
+      await addSnapshot(serverId, 40, 'rp_downtown_v4c', { players: 3 });
+
+      const service = new MapAnalyticsService({ maxGapMinutes: 30 });
+      const runs = await service.getRotation(serverId);
+
+      expect(runs.map(run => [run.map, run.snapshots, run.duration_minutes])).toEqual([
+        ['gm_construct', 2, 10],
+        ['rp_downtown_v4c', 2, 5],
+        ['rp_downtown_v4c', 1, 0]
+      ]);
+      expect(runs[0]).toMatchObject({ avg_players: 6, peak_players: 8 });
+      expect(runs[1]).toMatchObject({ avg_players: 21, peak_players: 22 });
+    });
+
+    test('returns no runs for a server without snapshots', async () => {
+      const service = new MapAnalyticsService();
+      expect(await service.getRotation(await addServer(27016))).toEqual([]);
+    });
+  });
+
+  describe('learnPatterns', () => {
+    beforeEach(async () => {
+      await database.executeWithRetry('DELETE FROM server_snapshots');
+      await database.executeWithRetry('DELETE FROM learned_patterns');
+    });
+
+    const getPatterns = async type => (await database.all(
+      'SELECT pattern_value, confidence FROM learned_patterns WHERE pattern_type = ? ORDER BY pattern_value', [type]
+    ));
+
+    test('stores map and prefix shares, grouping maps case-insensitively', async () => {
+      const serverId = await addServer(27017);
+      await addSnapshot(serverId, 30, 'rp_Downtown_v4c', { gamemode: 'darkrp' });
+      await addSnapshot(serverId, 20, 'rp_downtown_v4c', { gamemode: 'darkrp' });
+      await addSnapshot(serverId, 10, 'rp_downtown_v4c', { gamemode: 'darkrp' });
+      await addSnapshot(serverId, 5, 'rp_downtown_v4c', { gamemode: 'militaryrp' });
+
+      const service = new MapAnalyticsService({ minPatternSamples: 3 });
+      const result = await service.learnPatterns();
+
+      expect(result).toEqual({ pairs: 2, patterns: 4, removed: 0 });
+      expect(await getPatterns('map_gamemode')).toEqual([
+        { pattern_value: 'map:rp_downtown_v4c=darkrp', confidence: 0.75 },
+        { pattern_value: 'map:rp_downtown_v4c=militaryrp', confidence: 0.25 },
+        { pattern_value: 'prefix:rp_=darkrp', confidence: 0.75 },
+        { pattern_value: 'prefix:rp_=militaryrp', confidence: 0.25 }
+      ]);
+    });
+
+    test('removes patterns missing from the window and leaves other pattern types alone', async () => {
+      await database.executeWithRetry(`
+        INSERT INTO learned_patterns (pattern_type, pattern_value, confidence)
+        VALUES ('map_gamemode', 'map:ttt_minecraft_b5=ttt', 1), ('gamemode_keyword', 'darkrp', 0.9)
+      `);
+      const serverId = await addServer(27018);
+      for (const minutes of [30, 20, 10]) {
+        await addSnapshot(serverId, minutes, 'gm_flatgrass', { gamemode: 'sandbox' });
+      }
+      // Below minPatternSamples, so not learned
+      await addSnapshot(serverId, 5, 'mu_loft', { gamemode: 'murder' });
+
+      const service = new MapAnalyticsService({ minPatternSamples: 3 });
+      const result = await service.learnPatterns();
+
+      expect(result.removed).toBe(1);
+      expect((await getPatterns('map_gamemode')).map(pattern => pattern.pattern_value)).toEqual([
+        'map:gm_flatgrass=sandbox',
+        'prefix:gm_=sandbox'
+      ]);
+      expect(await getPatterns('gamemode_keyword')).toHaveLength(1);
+
+      // A repeat run over the same window keeps everything
+      expect(await service.learnPatterns()).toMatchObject({ patterns: 2, removed: 0 });
+    });
+  });
+});
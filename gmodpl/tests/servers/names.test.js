@@ -0,0 +1,39 @@
+const { brandWords, namePrefix, discordInvites } = require('../../src/servers/names');
+
+describe('server names', () => {
+  describe('namePrefix', () => {
+    test('takes the brand before the first separator without tags or domains', () => {
+      expect(namePrefix('[PL] KrakenRP.pl | DarkRP #1')).toEqual({ key: 'krakenrp', display: 'KrakenRP' });
+      expect(namePrefix('(EU) Zielona Wyspa - TTT 24/7')).toEqual({ key: 'zielonawyspa', display: 'Zielona Wyspa' });
+      expect(namePrefix('discord.gg/kraken » KrakenRP')).toEqual({ key: 'krakenrp', display: 'KrakenRP' });
+    });
+
+    test('gives the same key for differently written names of one community', () => {
+      expect(namePrefix('KRAKENRP | TTT').key).toBe(namePrefix('[NEW] KrakenRP.pl » Murder').key);
+    });
+
+    test('returns null when the head is only generic words or too short', () => {
+      expect(namePrefix('DarkRP Polska #2 | Start')).toBeNull();
+      expect(namePrefix('[PL] Garrys Mod Server')).toBeNull();
+      expect(namePrefix('XY | DarkRP')).toBeNull();
+      expect(namePrefix('')).toBeNull();
+      expect(namePrefix(null)).toBeNull();
+    });
+  });
+
+  test('brandWords drops generic words and numbers', () => {
+    expect(brandWords('Kraken DarkRP Polska 2024 Kraken Łódź')).toEqual(['kraken', 'łódź']);
+  });
+
+  describe('discordInvites', () => {
+    test('reads invite codes from every link form', () => {
+      expect(discordInvites('KrakenRP | discord.gg/KrakenPL | discordapp.com/invite/abc-123 discord.me/kraken'))
+        .toEqual(['krakenpl', 'abc-123', 'kraken']);
+    });
+
+    test('returns no invites without a link', () => {
+      expect(discordInvites('KrakenRP | Discord: KrakenPL')).toEqual([]);
+      expect(discordInvites(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const http = require('http');
+const SteamAPIClient = require('../../src/steam/client');
+const SteamRateLimiter = require('../../src/steam/limiter');
+
+// Local stand-in for api.steampowered.com; `handler` picks the status and headers for each request
+async function startSteamStub(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const { status, headers = {}, body = { response: {} } } = handler(requests.length);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Steam API rate limiting', () => {
+  let stub;
+  let client;
+
+  beforeAll(() => {
+    process.env.STEAM_API_KEY = process.env.STEAM_API_KEY || 'test-key';
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (client) {
+      client.cache.memory.close();
+      client = null;
+    }
+    if (stub) {
+      await stub.close();
+      stub = null;
+    }
+  });
+
+  const createClient = (limiterOptions) => {
+    client = new SteamAPIClient();
+    client.baseUrl = stub.baseUrl;
+    client.retryDelays = [10, 10, 10];
+    client.limiter = new SteamRateLimiter(limiterOptions);
+    return client;
+  };
+
+  const request = () => client.makeRequest(`${client.baseUrl}/ISteamUser/GetPlayerSummaries/v0002/`, { steamids: '76561197960287930' });
+
+  test('token bucket waits once the burst is spent', async () => {
+    const limiter = new SteamRateLimiter({ requestsPerSecond: 20, burst: 2, dailyQuota: 1000 });
+
+    const started = Date.now();
+    await limiter.acquire();
+    await limiter.acquire();
+    expect(Date.now() - started).toBeLessThan(30);
+
+    await limiter.acquire();
+    expect(Date.now() - started).toBeGreaterThanOrEqual(40);
+    expect(limiter.getState().throttledMs).toBeGreaterThan(0);
+  });
+
+  test('429 pauses for Retry-After and halves the rate before retrying', async () => {
+    stub = await startSteamStub(count => (count === 1
+      ? { status: 429, headers: { 'Retry-After': '1' } }
+      : { status: 200 }));
+    createClient({ requestsPerSecond: 20, dailyQuota: 1000 });
+    const baseRate = client.limiter.rate;
+
+    const started = Date.now();
+    await expect(request()).resolves.toEqual({ response: {} });
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(950);
+    expect(stub.requests).toHaveLength(2);
+    expect(client.limiter.stats.rateLimited).toBe(1);
+    expect(client.limiter.rate).toBeLessThan(baseRate);
+  });
+
+  test('5xx bursts open the circuit, which half-opens after the cooldown', async () => {
+    let failing = true;
+    stub = await startSteamStub(() => (failing ? { status: 503 } : { status: 200 }));
+    createClient({ failureThreshold: 3, openDuration: 200, dailyQuota: 1000 });
+
+    await expect(request()).rejects.toThrow('Steam API request failed after 3 attempts');
+    expect(client.limiter.circuit).toBe('open');
+    expect(stub.requests).toHaveLength(3);
+
+    // Open circuit rejects without touching the network
+    await expect(request()).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(stub.requests).toHaveLength(3);
+
+    // A failed trial request re-opens it straight away
+    await sleep(220);
+    await expect(request()).rejects.toThrow('Steam API request failed after 1 attempts');
+    expect(client.limiter.circuit).toBe('open');
+    expect(stub.requests).toHaveLength(4);
+
+    // A successful trial request closes it again
+    failing = false;
+    await sleep(220);
+    await expect(request()).resolves.toEqual({ response: {} });
+    expect(client.limiter.circuit).toBe('closed');
+    expect(client.limiter.stats.circuitOpens).toBe(2);
+  });
+
+  test('daily quota stops calls once used up', async () => {
+    stub = await startSteamStub(() => ({ status: 200 }));
+    createClient({ dailyQuota: 2 });
+
+    await request();
+    await request();
+    await expect(request()).rejects.toMatchObject({ code: 'QUOTA_EXHAUSTED' });
+
+    expect(stub.requests).toHaveLength(2);
+    expect(client.limiter.getState().quota).toMatchObject({ used: 2, limit: 2, remaining: 0 });
+    expect(client.limiter.getBlockedFor('QUOTA_EXHAUSTED')).toBeGreaterThan(0);
+  });
+});
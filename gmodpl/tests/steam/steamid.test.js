@@ -0,0 +1,95 @@
+const SteamID = require('../../src/steam/steamid');
+
+// Account 22202 in every format
+const STEAM_ID_64 = '76561197960287930';
+const STEAM2 = 'STEAM_0:0:11101';
+const STEAM3 = '[U:1:22202]';
+
+describe('SteamID', () => {
+  describe('toSteamId64', () => {
+    test('accepts a SteamID64', () => {
+      expect(SteamID.toSteamId64(STEAM_ID_64)).toBe(STEAM_ID_64);
+      expect(SteamID.toSteamId64(` ${STEAM_ID_64}\n`)).toBe(STEAM_ID_64);
+    });
+
+    test('accepts STEAM_X:Y:Z in any universe and case', () => {
+      expect(SteamID.toSteamId64(STEAM2)).toBe(STEAM_ID_64);
+      expect(SteamID.toSteamId64('STEAM_1:0:11101')).toBe(STEAM_ID_64);
+      expect(SteamID.toSteamId64('steam_0:1:11101')).toBe('76561197960287931');
+    });
+
+    test('accepts [U:1:Z] with or without brackets', () => {
+      expect(SteamID.toSteamId64(STEAM3)).toBe(STEAM_ID_64);
+      expect(SteamID.toSteamId64('U:1:22202')).toBe(STEAM_ID_64);
+    });
+
+    test('accepts a profiles link', () => {
+      expect(SteamID.toSteamId64(`https://steamcommunity.com/profiles/${STEAM_ID_64}/`)).toBe(STEAM_ID_64);
+      expect(SteamID.toSteamId64(`steamcommunity.com/profiles/${STEAM_ID_64}?l=polish`)).toBe(STEAM_ID_64);
+    });
+
+    test('leaves vanity names and links to the API', () => {
+      expect(SteamID.toSteamId64('https://steamcommunity.com/id/gabelogannewell/')).toBeNull();
+      expect(SteamID.toSteamId64('gabelogannewell')).toBeNull();
+    });
+
+    test('rejects account IDs that do not fit in 32 bits', () => {
+      expect(SteamID.toSteamId64('[U:1:4294967295]')).toBe('76561202255233023');
+      expect(SteamID.toSteamId64('76561202255233023')).toBe('76561202255233023');
+      expect(SteamID.toSteamId64('[U:1:4294967296]')).toBeNull();
+      expect(SteamID.toSteamId64('STEAM_0:1:2147483647')).toBe('76561202255233023');
+      expect(SteamID.toSteamId64('STEAM_0:0:2147483648')).toBeNull();
+      expect(SteamID.fromAccountId(-1)).toBeNull();
+    });
+
+    test('rejects SteamID64s that are not individual accounts', () => {
+      // Group (type 7) and an individual type with instance 0
+      expect(SteamID.toSteamId64('103582791429521408')).toBeNull();
+      expect(SteamID.toSteamId64('76561193665298432')).toBeNull();
+      expect(SteamID.toSteamId64(`https://steamcommunity.com/profiles/76561193665298432`)).toBeNull();
+    });
+  });
+
+  describe('getVanityName', () => {
+    test('reads the name from an /id/ link or a bare custom URL name', () => {
+      expect(SteamID.getVanityName('https://steamcommunity.com/id/gabelogannewell/')).toBe('gabelogannewell');
+      expect(SteamID.getVanityName('steamcommunity.com/id/Kraken_PL?xml=1')).toBe('Kraken_PL');
+      expect(SteamID.getVanityName('gabelogannewell')).toBe('gabelogannewell');
+    });
+
+    test('ignores numbers and names Steam would not accept', () => {
+      expect(SteamID.getVanityName('1234567')).toBeNull();
+      expect(SteamID.getVanityName('two words')).toBeNull();
+      expect(SteamID.getVanityName('')).toBeNull();
+    });
+  });
+
+  test('every format round-trips through getFormats', () => {
+    const formats = SteamID.getFormats(STEAM_ID_64);
+
+    expect(formats).toEqual({
+      steamid64: STEAM_ID_64,
+      steam2: STEAM2,
+      steam3: STEAM3,
+      account_id: 22202,
+      profile_url: `https://steamcommunity.com/profiles/${STEAM_ID_64}`
+    });
+    for (const input of [formats.steamid64, formats.steam2, formats.steam3, formats.profile_url]) {
+      expect(SteamID.toSteamId64(input)).toBe(STEAM_ID_64);
+    }
+  });
+
+  describe('extractAll', () => {
+    test('finds unique IDs in any format inside free text', () => {
+      const text = `owner ${STEAM2}, admins: [U:1:22203] and ${STEAM_ID_64}; again ${STEAM3}`;
+      expect(SteamID.extractAll(text)).toEqual([STEAM_ID_64, '76561197960287931']);
+    });
+
+    test('only matches whole IDs', () => {
+      expect(SteamID.extractAll(`${STEAM_ID_64}1`)).toEqual([]);
+      expect(SteamID.extractAll(`9${STEAM_ID_64}`)).toEqual([]);
+      expect(SteamID.extractAll('xSTEAM_0:0:11101 STEAM_0:0:11101abc')).toEqual([]);
+      expect(SteamID.extractAll(`id=${STEAM_ID_64},`)).toEqual([STEAM_ID_64]);
+    });
+  });
+});